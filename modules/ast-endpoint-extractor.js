@@ -0,0 +1,698 @@
+// AST Endpoint Extractor - parses JavaScript with the bundled acorn parser
+// (vendor/acorn.js) and resolves endpoints built from constants, string
+// concatenation and template literals at HTTP call sites.
+class AstEndpointExtractor {
+  constructor(parser = null) {
+    this.parser = parser || (typeof acorn !== 'undefined' ? acorn : null);
+    this.maxEvaluationDepth = 20;
+    this.httpMethods = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+  }
+
+  isAvailable() {
+    return Boolean(this.parser);
+  }
+
+  parse(content) {
+    const options = {
+      ecmaVersion: 'latest',
+      locations: true,
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true
+    };
+
+    try {
+      return this.parser.parse(content, { ...options, sourceType: 'module' });
+    } catch {
+      // Sloppy-mode scripts (`with`, octal literals...) only parse as scripts
+      return this.parser.parse(content, { ...options, sourceType: 'script' });
+    }
+  }
+
+  // Returns categorized endpoints plus per-URL details, or null if the script doesn't parse
+  extract(content) {
+    if (!this.isAvailable()) return null;
+
+    let ast;
+    try {
+      ast = this.parse(content);
+    } catch (error) {
+      console.warn('AST parse failed, falling back to regex extraction:', error.message);
+      return null;
+    }
+
+    const context = {
+      bindings: new Map(),
+      instances: new Map(),
+      formFields: new Map(),
+      xhr: new Map(),
+      resolving: new Set(),
+      // URL arguments of recorded call sites, already resolved against their base URL
+      callUrls: new Set(),
+      results: {
+        endpoints: [], urls: [], routes: [], graphql: [], websockets: [], uploads: [], docs: []
+      },
+      details: {}
+    };
+
+    const nodes = this.collectNodes(ast);
+    nodes.forEach(({ node }) => this.collectBinding(node, context));
+    nodes.forEach(({ node }) => this.collectInstance(node, context));
+    nodes.forEach(({ node }) => this.collectFormField(node, context));
+    nodes.forEach(({ node, parent }) => this.visit(node, parent, context));
+
+    this.categorize(context);
+    return { ...context.results, details: context.details };
+  }
+
+  // Flatten the tree iteratively; bundles nest far deeper than the call stack allows
+  collectNodes(ast) {
+    const nodes = [];
+    const stack = [{ node: ast, parent: null }];
+
+    while (stack.length > 0) {
+      const entry = stack.pop();
+      nodes.push(entry);
+
+      for (const key of Object.keys(entry.node)) {
+        if (key === 'loc' || key === 'start' || key === 'end') continue;
+        const value = entry.node[key];
+
+        if (Array.isArray(value)) {
+          for (let i = value.length - 1; i >= 0; i--) {
+            if (value[i] && typeof value[i].type === 'string') {
+              stack.push({ node: value[i], parent: entry.node });
+            }
+          }
+        } else if (value && typeof value.type === 'string') {
+          stack.push({ node: value, parent: entry.node });
+        }
+      }
+    }
+
+    return nodes;
+  }
+
+  // `const API = "..."`, `cfg = {base: "..."}`, `e.API_URL = "..."`
+  collectBinding(node, context) {
+    let name = null;
+    let init = null;
+
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      name = node.id.name;
+      init = node.init;
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      name = this.getMemberName(node.left);
+      init = node.right;
+    }
+
+    if (!name || !init) return;
+    this.addBinding(context, name, init);
+
+    if (init.type === 'ObjectExpression') {
+      init.properties.forEach(property => {
+        const key = this.getPropertyKey(property);
+        if (key && property.value) {
+          this.addBinding(context, `${name}.${key}`, property.value);
+        }
+      });
+    }
+  }
+
+  addBinding(context, name, init) {
+    const inits = context.bindings.get(name) || [];
+    inits.push(init);
+    context.bindings.set(name, inits);
+  }
+
+  // `const api = axios.create({ baseURL })` and `api.defaults.baseURL = ...`
+  collectInstance(node, context) {
+    let name = null;
+    let value = null;
+
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      name = node.id.name;
+      value = node.init;
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      const target = this.getMemberName(node.left);
+      if (target && target.endsWith('.defaults.baseURL')) {
+        const baseUrl = this.evaluate(node.right, context);
+        if (baseUrl) context.instances.set(target.slice(0, -'.defaults.baseURL'.length), baseUrl);
+        return;
+      }
+      name = target;
+      value = node.right;
+    }
+
+    if (!name || !value || value.type !== 'CallExpression') return;
+    const callee = this.getMemberName(value.callee);
+    if (!callee || !callee.endsWith('.create')) return;
+
+    const config = value.arguments[0];
+    const baseUrl = config?.type === 'ObjectExpression'
+      ? this.evaluate(this.getProperty(config, 'baseURL'), context)
+      : null;
+    if (baseUrl) {
+      context.instances.set(name, baseUrl);
+    }
+  }
+
+  // `const fd = new FormData(); fd.append('file', ...)`
+  collectFormField(node, context) {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+        node.init?.type === 'NewExpression' && this.getMemberName(node.init.callee) === 'FormData') {
+      if (!context.formFields.has(node.id.name)) context.formFields.set(node.id.name, new Set());
+      return;
+    }
+
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        ['append', 'set'].includes(node.callee.property.name)) {
+      const fields = context.formFields.get(this.getMemberName(node.callee.object));
+      const key = fields ? this.evaluate(node.arguments[0], context) : null;
+      if (key) fields.add(key);
+    }
+  }
+
+  visit(node, parent, context) {
+    switch (node.type) {
+      case 'CallExpression':
+        this.visitCall(node, context);
+        break;
+      case 'NewExpression':
+        this.visitNew(node, context);
+        break;
+      case 'Literal':
+      case 'TemplateLiteral':
+      case 'BinaryExpression':
+        this.visitString(node, parent, context);
+        break;
+      case 'TaggedTemplateExpression':
+        this.visitTaggedTemplate(node, context);
+        break;
+      case 'Property':
+        this.visitProperty(node, context);
+        break;
+    }
+  }
+
+  visitCall(node, context) {
+    const callee = node.callee;
+    const args = node.arguments;
+    const calleeName = this.getMemberName(callee);
+
+    // fetch(url, { method, headers, body }), window.fetch(url)
+    if (calleeName === 'fetch' || calleeName?.endsWith('.fetch')) {
+      this.addCall(context, args[0], { kind: 'fetch', ...this.describeFetchInit(args[1], context) }, node);
+      return;
+    }
+
+    // navigator.sendBeacon(url, data)
+    if (calleeName?.endsWith('.sendBeacon')) {
+      this.addCall(context, args[0], {
+        method: 'POST', kind: 'beacon', body: this.describeBody(args[1], context, 'text')
+      }, node);
+      return;
+    }
+
+    if (callee.type !== 'MemberExpression' || callee.computed) {
+      if (calleeName === 'axios') {
+        this.addConfigCall(context, args, { kind: 'axios' }, node);
+      }
+      return;
+    }
+
+    const methodName = callee.property.name;
+    const objectName = this.getMemberName(callee.object);
+    const baseUrl = objectName ? context.instances.get(objectName) || null : null;
+    const isJQuery = objectName === '$' || objectName === 'jQuery';
+
+    // xhr.open('DELETE', url), then xhr.setRequestHeader(...) and xhr.send(body)
+    if (methodName === 'open' && args.length >= 2) {
+      const method = args[0].type === 'Literal' && typeof args[0].value === 'string' ? args[0].value : null;
+      if (method && this.httpMethods.includes(method.toLowerCase())) {
+        const url = this.addCall(context, args[1], { method: method.toUpperCase(), kind: 'xhr' }, node);
+        if (url && objectName) context.xhr.set(objectName, url);
+      }
+      return;
+    }
+
+    if ((methodName === 'setRequestHeader' || methodName === 'send') && context.xhr.has(objectName)) {
+      const detail = context.details[context.xhr.get(objectName)];
+      if (methodName === 'setRequestHeader') {
+        const header = this.evaluate(args[0], context);
+        if (header) this.mergeRequest(detail, { headers: [header] });
+      } else if (args[0]) {
+        this.mergeRequest(detail, { body: this.describeBody(args[0], context, 'text') });
+      }
+      return;
+    }
+
+    // $.ajax(url | {url, type}), axios.request({url, method}), api.request({url})
+    if (methodName === 'ajax' || methodName === 'request') {
+      this.addConfigCall(context, args, { kind: methodName === 'ajax' ? 'ajax' : 'http', baseUrl }, node);
+      return;
+    }
+
+    // axios.get(url, config), api.post(url, data, config), this.http.put(url, body), $.post(url, data)
+    if (this.httpMethods.includes(methodName)) {
+      const method = methodName.toUpperCase();
+      const hasBody = ['POST', 'PUT', 'PATCH'].includes(method);
+      let request;
+
+      if (isJQuery) {
+        request = method === 'GET'
+          ? { query: this.getObjectKeys(this.resolveObject(args[1], context), context) }
+          : { body: this.describeBody(args[1], context, 'urlencoded') };
+      } else {
+        const config = this.resolveObject(hasBody ? args[2] : args[1], context);
+        request = {
+          ...this.describeConfig(config, context),
+          ...(hasBody ? { body: this.describeBody(args[1], context, 'json') } : {})
+        };
+      }
+
+      this.addCall(context, args[0], {
+        method,
+        kind: isJQuery ? 'ajax' : 'http',
+        baseUrl,
+        ...request
+      }, node, { requirePath: true });
+    }
+  }
+
+  // fetch() init object
+  describeFetchInit(initNode, context) {
+    const init = this.resolveObject(initNode, context);
+    if (!init) return { method: 'GET' };
+
+    return {
+      method: this.evaluateMethod(this.getProperty(init, 'method'), context) || 'GET',
+      headers: this.getHeaderNames(this.getProperty(init, 'headers'), context),
+      body: this.describeBody(this.getProperty(init, 'body'), context, 'text')
+    };
+  }
+
+  // axios/HttpClient request config: headers and query params
+  describeConfig(config, context) {
+    if (!config) return {};
+    return {
+      headers: this.getHeaderNames(this.getProperty(config, 'headers'), context),
+      query: this.getObjectKeys(this.resolveObject(this.getProperty(config, 'params'), context), context)
+    };
+  }
+
+  evaluateMethod(node, context) {
+    const method = this.evaluate(node, context);
+    return method && this.httpMethods.includes(method.toLowerCase()) ? method.toUpperCase() : null;
+  }
+
+  // Header names from `{...}`, `new Headers({...})` or `new HttpHeaders({...})`
+  getHeaderNames(node, context) {
+    if (node?.type === 'NewExpression') {
+      node = node.arguments[0];
+    }
+    return this.getObjectKeys(this.resolveObject(node, context), context, '', 0);
+  }
+
+  // Body type and key shape of a request payload
+  describeBody(node, context, defaultType) {
+    if (!node) return null;
+
+    // JSON.stringify({...})
+    if (node.type === 'CallExpression' && this.getMemberName(node.callee) === 'JSON.stringify') {
+      return { type: 'json', keys: this.getObjectKeys(this.resolveObject(node.arguments[0], context), context) };
+    }
+
+    if (node.type === 'NewExpression') {
+      const name = this.getMemberName(node.callee);
+      if (name === 'URLSearchParams') {
+        return { type: 'urlencoded', keys: this.getObjectKeys(this.resolveObject(node.arguments[0], context), context) };
+      }
+      if (name === 'FormData') {
+        return { type: 'multipart', keys: [] };
+      }
+    }
+
+    const name = this.getMemberName(node);
+    if (name && context.formFields.has(name)) {
+      return { type: 'multipart', keys: [...context.formFields.get(name)] };
+    }
+
+    const object = this.resolveObject(node, context);
+    if (object) {
+      return { type: defaultType === 'text' ? 'json' : defaultType, keys: this.getObjectKeys(object, context) };
+    }
+
+    // "a=1&b=2" or a JSON string literal
+    const value = this.evaluate(node, context);
+    if (value) {
+      try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object') return { type: 'json', keys: Object.keys(parsed) };
+      } catch {
+        if (/^[\w.[\]-]+=/.test(value)) {
+          return { type: 'urlencoded', keys: value.split('&').map(pair => pair.split('=')[0]).filter(Boolean) };
+        }
+      }
+    }
+
+    return { type: defaultType, keys: [] };
+  }
+
+  // Dotted key paths of an object literal: { user: { name } } -> ["user", "user.name"]
+  getObjectKeys(object, context, prefix = '', maxDepth = 3) {
+    if (!object) return [];
+    const keys = [];
+
+    object.properties.forEach(property => {
+      const key = this.getPropertyKey(property);
+      if (!key) return;
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      keys.push(path);
+
+      if (maxDepth > 0) {
+        let value = property.value;
+        if (value?.type === 'ArrayExpression' && value.elements[0]?.type === 'ObjectExpression') {
+          value = value.elements[0];
+          keys.push(...this.getObjectKeys(value, context, `${path}[]`, maxDepth - 1));
+          return;
+        }
+        const nested = this.resolveObject(value, context);
+        if (nested) keys.push(...this.getObjectKeys(nested, context, path, maxDepth - 1));
+      }
+    });
+
+    return keys;
+  }
+
+  // Object literal a node evaluates to, following single-assignment bindings
+  resolveObject(node, context) {
+    if (!node) return null;
+    if (node.type === 'ObjectExpression') return node;
+
+    const name = this.getMemberName(node);
+    const inits = name ? context.bindings.get(name) : null;
+    return inits && inits.length === 1 && inits[0].type === 'ObjectExpression' ? inits[0] : null;
+  }
+
+  visitNew(node, context) {
+    const name = this.getMemberName(node.callee);
+    if (name === 'WebSocket') {
+      const url = this.evaluate(node.arguments[0], context);
+      if (url) this.addDetail(context, 'websockets', url, { method: 'GET', kind: 'websocket' }, node);
+    } else if (name === 'EventSource') {
+      this.addCall(context, node.arguments[0], { method: 'GET', kind: 'eventsource' }, node);
+    } else if (name === 'Request') {
+      this.addCall(context, node.arguments[0], { method: 'GET', kind: 'fetch' }, node);
+    }
+  }
+
+  // Path-like strings anywhere in the code (outermost concatenation only)
+  visitString(node, parent, context) {
+    if (parent && (parent.type === 'BinaryExpression' || parent.type === 'TemplateLiteral' ||
+        parent.type === 'TaggedTemplateExpression' || parent.type === 'ImportDeclaration' ||
+        parent.type === 'ExportNamedDeclaration' || parent.type === 'ExportAllDeclaration')) {
+      return;
+    }
+    if (node.type === 'Literal' && typeof node.value !== 'string') return;
+    if (node.type === 'BinaryExpression' && node.operator !== '+') return;
+    if (context.callUrls.has(node)) return;
+
+    const value = this.evaluate(node, context);
+    if (!value) return;
+
+    if (/^\s*(query|mutation|subscription)\b[^{]*\{/.test(value)) {
+      context.results.graphql.push(value.trim());
+    } else if (this.isStandaloneUrl(value)) {
+      context.results.urls.push(value);
+    }
+  }
+
+  // gql`...` / graphql`...`
+  visitTaggedTemplate(node, context) {
+    const tag = this.getMemberName(node.tag);
+    if (tag && /(^|\.)(gql|graphql)$/.test(tag)) {
+      const value = this.evaluate(node.quasi, context);
+      if (value) context.results.graphql.push(value.trim());
+    }
+  }
+
+  // Router configs: `{ path: '/admin/users' }`
+  visitProperty(node, context) {
+    if (this.getPropertyKey(node) !== 'path') return;
+    const value = this.evaluate(node.value, context);
+    if (value && /^\/[\w:{*.-]/.test(value) && !/\s/.test(value)) {
+      context.results.routes.push(value);
+    }
+  }
+
+  // axios(config), axios(url, config), $.ajax(url | config)
+  addConfigCall(context, args, info, node) {
+    const first = args[0];
+    if (!first) return;
+
+    const config = this.resolveObject(first.type === 'ObjectExpression' ? first : args[1], context);
+    const urlNode = first.type === 'ObjectExpression' ? this.getProperty(first, 'url') : first;
+    const request = { method: 'GET', ...info };
+
+    if (config) {
+      const isAjax = info.kind === 'ajax';
+      const method = this.evaluateMethod(this.getProperty(config, 'method'), context) ||
+        (isAjax ? this.evaluateMethod(this.getProperty(config, 'type'), context) : null);
+      if (method) request.method = method;
+
+      const baseUrl = this.evaluate(this.getProperty(config, 'baseURL'), context);
+      if (baseUrl) request.baseUrl = baseUrl;
+
+      Object.assign(request, this.describeConfig(config, context));
+
+      const contentType = this.evaluate(this.getProperty(config, 'contentType'), context) || '';
+      const dataNode = this.getProperty(config, 'data');
+      if (isAjax && request.method === 'GET') {
+        request.query = this.getObjectKeys(this.resolveObject(dataNode, context), context);
+      } else if (dataNode) {
+        request.body = this.describeBody(dataNode, context, !isAjax || /json/i.test(contentType) ? 'json' : 'urlencoded');
+      }
+    }
+
+    this.addCall(context, urlNode, request, node);
+  }
+
+  // Records a call site; returns the endpoint URL it was stored under
+  addCall(context, urlNode, info, node, options = {}) {
+    const url = this.evaluate(urlNode, context);
+    if (!url || /\s/.test(url)) return null;
+    if (options.requirePath && !/^(?:[a-z][a-z0-9+.-]*:)?\/|^\{[^}]+\}\/|^\w[\w.-]*\//i.test(url)) return null;
+
+    const baseUrl = info.baseUrl || null;
+    const fullUrl = baseUrl && !/^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(url)
+      ? `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`
+      : url;
+
+    const category = /^wss?:\/\//i.test(fullUrl) ? 'websockets' : 'endpoints';
+    this.addDetail(context, category, fullUrl, { ...info, baseUrl }, node);
+    context.callUrls.add(urlNode);
+    return fullUrl;
+  }
+
+  addDetail(context, category, url, info, node) {
+    context.results[category].push(url);
+
+    const detail = context.details[url] || {
+      methods: [],
+      baseUrl: info.baseUrl || null,
+      kind: info.kind,
+      line: node.loc?.start.line || null,
+      column: node.loc ? node.loc.start.column + 1 : null,
+      headers: [],
+      query: [],
+      body: null
+    };
+    if (info.method && !detail.methods.includes(info.method)) {
+      detail.methods.push(info.method);
+    }
+    this.mergeRequest(detail, info);
+    context.details[url] = detail;
+  }
+
+  // Union header names, query keys and body keys seen across call sites
+  mergeRequest(detail, request) {
+    const union = (target, values) => [...new Set([...target, ...(values || [])])];
+
+    detail.headers = union(detail.headers, request.headers);
+    detail.query = union(detail.query, request.query);
+
+    if (request.body) {
+      detail.body = detail.body
+        ? { type: detail.body.type, keys: union(detail.body.keys, request.body.keys) }
+        : { ...request.body };
+    }
+  }
+
+  // Upload and documentation endpoints come from what was already found
+  categorize(context) {
+    const { results } = context;
+    const found = [...results.endpoints, ...results.urls];
+
+    results.uploads = found.filter(url => /upload/i.test(url));
+    results.docs = found.filter(url => /\/(docs|swagger|openapi|api-docs|redoc)\b/i.test(url));
+    results.graphql.push(...found.filter(url => /\/graphql\b/i.test(url)));
+  }
+
+  isStandaloneUrl(value) {
+    if (value.length < 2 || value.length > 2000 || /\s/.test(value)) return false;
+    if (/^(?:https?:|wss?:)?\/\/[\w{-][^"'`<>]*$/i.test(value)) return true;
+    // "/api/users", "/users/{id}", "{API}/users"
+    return /^\/[\w{:.~-][^"'`<>]*$/.test(value) && !/^\/\w+\/[gimsuy]+$/.test(value) ||
+      /^\{[^}]+\}\/[\w{][^"'`<>]*$/.test(value);
+  }
+
+  // Evaluate an expression to a string; unknown parts become `{name}` placeholders
+  evaluate(node, context, depth = 0) {
+    const result = this.evaluateNode(node, context, depth);
+    if (result === null || !result.known) return null;
+    return result.value;
+  }
+
+  // Returns { value, known } where known means at least some literal text was resolved
+  evaluateNode(node, context, depth) {
+    if (!node || depth > this.maxEvaluationDepth) return null;
+
+    switch (node.type) {
+      case 'Literal':
+        if (typeof node.value === 'string') return { value: node.value, known: true };
+        if (typeof node.value === 'number') return { value: String(node.value), known: true };
+        return null;
+
+      case 'TemplateLiteral': {
+        let value = '';
+        let known = false;
+        node.quasis.forEach((quasi, index) => {
+          const text = quasi.value.cooked ?? quasi.value.raw;
+          value += text;
+          if (text) known = true;
+
+          if (index < node.expressions.length) {
+            const part = this.evaluateNode(node.expressions[index], context, depth + 1);
+            value += part ? part.value : this.placeholder(node.expressions[index]);
+            if (part?.known) known = true;
+          }
+        });
+        return { value, known };
+      }
+
+      case 'BinaryExpression': {
+        if (node.operator !== '+') return null;
+        const left = this.evaluateNode(node.left, context, depth + 1);
+        const right = this.evaluateNode(node.right, context, depth + 1);
+        if (!left?.known && !right?.known) return null;
+        return {
+          value: (left ? left.value : this.placeholder(node.left)) + (right ? right.value : this.placeholder(node.right)),
+          known: true
+        };
+      }
+
+      case 'Identifier':
+      case 'MemberExpression': {
+        const name = this.getMemberName(node);
+        const resolved = name ? this.resolveBinding(name, context, depth) : null;
+        return resolved || { value: this.placeholder(node), known: false };
+      }
+
+      case 'CallExpression': {
+        // "a".concat(b, c)
+        if (node.callee.type === 'MemberExpression' && node.callee.property.name === 'concat') {
+          const parts = [node.callee.object, ...node.arguments].map(part => this.evaluateNode(part, context, depth + 1));
+          if (!parts.some(part => part?.known)) return null;
+          return {
+            value: parts.map((part, index) => part ? part.value : this.placeholder(index === 0 ? node.callee.object : node.arguments[index - 1])).join(''),
+            known: true
+          };
+        }
+        return { value: this.placeholder(node), known: false };
+      }
+
+      case 'ConditionalExpression':
+      case 'LogicalExpression': {
+        // `API || "/api"`: prefer the first branch that resolves
+        const branches = node.type === 'ConditionalExpression' ? [node.consequent, node.alternate] : [node.left, node.right];
+        for (const branch of branches) {
+          const result = this.evaluateNode(branch, context, depth + 1);
+          if (result?.known) return result;
+        }
+        return { value: this.placeholder(node), known: false };
+      }
+
+      case 'SequenceExpression':
+        return this.evaluateNode(node.expressions[node.expressions.length - 1], context, depth + 1);
+
+      default:
+        return null;
+    }
+  }
+
+  // A binding only resolves when every assignment agrees on its value
+  resolveBinding(name, context, depth) {
+    const inits = context.bindings.get(name);
+    if (!inits || context.resolving.has(name)) return null;
+
+    context.resolving.add(name);
+    try {
+      const values = new Set();
+      for (const init of inits) {
+        const result = this.evaluateNode(init, context, depth + 1);
+        if (!result?.known) return null;
+        values.add(result.value);
+      }
+      return values.size === 1 ? { value: [...values][0], known: true } : null;
+    } finally {
+      context.resolving.delete(name);
+    }
+  }
+
+  placeholder(node) {
+    let name = 'param';
+    if (node?.type === 'Identifier') {
+      name = node.name;
+    } else if (node?.type === 'MemberExpression' && !node.computed) {
+      name = node.property.name;
+    } else if (node?.type === 'CallExpression' && node.arguments[0]?.type === 'Identifier') {
+      // encodeURIComponent(id) -> {id}
+      name = node.arguments[0].name;
+    }
+    return `{${name}}`;
+  }
+
+  // `a.b.c` for identifiers and non-computed member chains
+  getMemberName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression' && !node.computed) {
+      const object = this.getMemberName(node.object);
+      return object ? `${object}.${node.property.name}` : null;
+    }
+    return null;
+  }
+
+  getPropertyKey(property) {
+    if (property.type !== 'Property' || property.computed) return null;
+    if (property.key.type === 'Identifier') return property.key.name;
+    if (property.key.type === 'Literal') return String(property.key.value);
+    return null;
+  }
+
+  getProperty(objectNode, key) {
+    const property = objectNode.properties.find(prop => this.getPropertyKey(prop) === key);
+    return property ? property.value : null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AstEndpointExtractor;
+} else if (typeof window !== 'undefined') {
+  window.AstEndpointExtractor = AstEndpointExtractor;
+}
@@ -0,0 +1,205 @@
+// Burp Export - endpoint requests in formats Burp Suite imports (sitemap items XML, plain URL list)
+class BurpExporter {
+  constructor(requestBuilder = new EndpointRequestBuilder()) {
+    this.requestBuilder = requestBuilder;
+    this.burpVersion = '2024.1';
+    this.multipartBoundary = '----LazyEggBoundary7MA4YWxkTrZu0gW';
+
+    // Same DTD Burp writes with "Save items"
+    this.itemsDoctype = [
+      '<!DOCTYPE items [',
+      '<!ELEMENT items (item*)>',
+      '<!ATTLIST items burpVersion CDATA "">',
+      '<!ATTLIST items exportTime CDATA "">',
+      '<!ELEMENT item (time, url, host, port, protocol, method, path, extension, request, status, responselength, mimetype, response, comment)>',
+      '<!ELEMENT time (#PCDATA)>',
+      '<!ELEMENT url (#PCDATA)>',
+      '<!ELEMENT host (#PCDATA)>',
+      '<!ATTLIST host ip CDATA "">',
+      '<!ELEMENT port (#PCDATA)>',
+      '<!ELEMENT protocol (#PCDATA)>',
+      '<!ELEMENT method (#PCDATA)>',
+      '<!ELEMENT path (#PCDATA)>',
+      '<!ELEMENT extension (#PCDATA)>',
+      '<!ELEMENT request (#PCDATA)>',
+      '<!ATTLIST request base64 (true|false) "false">',
+      '<!ELEMENT status (#PCDATA)>',
+      '<!ELEMENT responselength (#PCDATA)>',
+      '<!ELEMENT mimetype (#PCDATA)>',
+      '<!ELEMENT response (#PCDATA)>',
+      '<!ATTLIST response base64 (true|false) "false">',
+      '<!ELEMENT comment (#PCDATA)>',
+      ']>'
+    ];
+  }
+
+  // Concrete requests for every in-scope HTTP endpoint, one per inferred method
+  buildRequests(endpoints) {
+    const requests = [];
+    const seen = new Set();
+
+    this.requestBuilder.collectApiEndpoints(endpoints).forEach(({ parsed, requests: inferred, source, scriptUrl, category }) => {
+      const url = this.resolveUrl(parsed, scriptUrl);
+      if (!url) return;
+
+      inferred.forEach(request => {
+        const key = `${request.method} ${url.href}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        requests.push({
+          url,
+          method: request.method,
+          raw: this.buildRawRequest(url, request),
+          source,
+          category
+        });
+      });
+    });
+
+    return requests;
+  }
+
+  // `{API}` servers resolve to the script origin, inferred query names are added with empty values
+  resolveUrl(parsed, scriptUrl) {
+    let href = parsed.url;
+    if (parsed.serverVariables.length > 0) {
+      const origin = this.requestBuilder.getServerDefault(parsed, scriptUrl);
+      if (!origin) return null;
+      href = origin + parsed.url.slice(parsed.server.length);
+    }
+
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return null;
+    }
+
+    parsed.query.forEach(name => {
+      if (!url.searchParams.has(name)) url.searchParams.append(name, '');
+    });
+    // URL parsing encodes "{userId}" in the path but leaves query placeholders raw
+    url.search = url.search.replace(/[{}]/g, char => encodeURIComponent(char));
+    return url;
+  }
+
+  buildRawRequest(url, request) {
+    const defaultPort = url.protocol === 'https:' ? '443' : '80';
+    const body = this.buildBody(request);
+    const lines = [
+      `${request.method} ${url.pathname}${url.search} HTTP/1.1`,
+      `Host: ${url.hostname}${url.port && url.port !== defaultPort ? `:${url.port}` : ''}`,
+      'Accept: */*'
+    ];
+
+    // Discovered header names, values are for the tester to fill in
+    request.headers
+      .filter(name => !/^(host|accept|content-length|connection)$/i.test(name))
+      .filter(name => !body || !/^content-type$/i.test(name))
+      .forEach(name => lines.push(`${name}: `));
+
+    if (body !== null) {
+      lines.push(`Content-Type: ${body.contentType}`);
+      lines.push(`Content-Length: ${this.byteLength(body.content)}`);
+    }
+    lines.push('Connection: close');
+
+    return `${lines.join('\r\n')}\r\n\r\n${body ? body.content : ''}`;
+  }
+
+  // Sample body from the inferred shape; multipart gets one empty part per field
+  buildBody(request) {
+    if (!request.body) return null;
+
+    if (request.body.type === 'multipart') {
+      const parts = request.body.keys.map(key =>
+        `--${this.multipartBoundary}\r\nContent-Disposition: form-data; name="${key.replace(/"/g, '%22')}"\r\n\r\n\r\n`
+      );
+      return {
+        contentType: `multipart/form-data; boundary=${this.multipartBoundary}`,
+        content: `${parts.join('')}--${this.multipartBoundary}--\r\n`
+      };
+    }
+
+    return {
+      contentType: request.contentType,
+      content: this.requestBuilder.buildSampleBody(request.body)
+    };
+  }
+
+  // Burp "Save items" XML, importable into the site map (e.g. with the Import Sitemap extension)
+  buildItemsXml(endpoints) {
+    const time = new Date().toString();
+    const items = this.buildRequests(endpoints).map(({ url, method, raw, source, category }) => {
+      const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+      const extension = url.pathname.match(/\.([a-z0-9]{1,10})$/i)?.[1] || 'null';
+      const comment = `LazyEgg ${category} from ${source}`;
+
+      return [
+        '  <item>',
+        `    <time>${this.escapeXml(time)}</time>`,
+        `    <url>${this.cdata(url.href)}</url>`,
+        `    <host ip="">${this.escapeXml(url.hostname)}</host>`,
+        `    <port>${port}</port>`,
+        `    <protocol>${url.protocol.replace(':', '')}</protocol>`,
+        `    <method>${this.cdata(method)}</method>`,
+        `    <path>${this.cdata(url.pathname + url.search)}</path>`,
+        `    <extension>${this.escapeXml(extension)}</extension>`,
+        `    <request base64="true">${this.cdata(this.toBase64(raw))}</request>`,
+        // Never requested: no response, like an unrequested item in Burp's own export, so the site map
+        // doesn't show the endpoint as live
+        '    <status></status>',
+        '    <responselength></responselength>',
+        '    <mimetype></mimetype>',
+        '    <response base64="true"></response>',
+        `    <comment>${this.cdata(comment)}</comment>`,
+        '  </item>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0"?>',
+      ...this.itemsDoctype,
+      `<items burpVersion="${this.burpVersion}" exportTime="${this.escapeXml(time)}">`,
+      ...items,
+      '</items>',
+      ''
+    ].join('\n');
+  }
+
+  // One full URL per line for "Paste URL as request" and Target > Scope > Paste URL
+  buildUrlList(endpoints) {
+    const urls = new Set(this.buildRequests(endpoints).map(({ url }) => url.href));
+    return [...urls].sort().join('\n') + (urls.size > 0 ? '\n' : '');
+  }
+
+  byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  toBase64(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+
+  escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({
+      '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BurpExporter;
+} else if (typeof window !== 'undefined') {
+  window.BurpExporter = BurpExporter;
+}
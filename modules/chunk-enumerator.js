@@ -0,0 +1,311 @@
+// Chunk Enumerator - finds lazy-loaded bundle chunks the page never requested
+class ChunkEnumerator {
+  constructor() {
+    this.maxChunksPerFile = 2000;
+  }
+
+  // Returns absolute URLs of chunks referenced by a script
+  enumerate(content, scriptUrl) {
+    const chunks = new Set();
+    const add = (url) => {
+      if (url && chunks.size < this.maxChunksPerFile) chunks.add(url);
+    };
+
+    try {
+      this.enumerateWebpack(content, scriptUrl).forEach(add);
+      this.enumerateVite(content, scriptUrl).forEach(add);
+      this.enumerateNextManifest(content, scriptUrl).forEach(add);
+    } catch (error) {
+      console.warn('Chunk enumeration failed for', scriptUrl, error);
+    }
+
+    chunks.delete(scriptUrl);
+    return [...chunks];
+  }
+
+  // webpack 5 `__webpack_require__.u` and webpack 4 `jsonpScriptSrc`
+  enumerateWebpack(content, scriptUrl) {
+    const urls = [];
+    const publicPath = this.findPublicPath(content, scriptUrl);
+
+    const definitions = [
+      /\.u\s*=\s*function\s*\(\s*(\w+)\s*\)\s*\{\s*return\s*/g,
+      /\.u\s*=\s*\(?\s*(\w+)\s*\)?\s*=>\s*\{?\s*(?:return\s*)?/g,
+      // webpack 4 `jsonpScriptSrc`, usually minified to an anonymous name
+      /function\s*[\w$]*\s*\(\s*(\w+)\s*\)\s*\{\s*return\s*(?=[\w$]+\.p\s*\+)/g
+    ];
+
+    definitions.forEach(definition => {
+      let match;
+      while ((match = definition.exec(content)) !== null) {
+        const template = this.parseTemplate(content, match.index + match[0].length, match[1]);
+        if (!template) continue;
+
+        const chunkIds = new Set(template.chunkIds);
+        this.findLoadedChunkIds(content).forEach(id => chunkIds.add(id));
+
+        chunkIds.forEach(chunkId => {
+          const path = this.renderTemplate(template.parts, chunkId);
+          if (!path || !/\.m?js(\?|$)/.test(path)) return;
+          urls.push(this.resolveUrl(publicPath + path, scriptUrl));
+        });
+      }
+    });
+
+    return urls;
+  }
+
+  // `__webpack_require__.p = "/static/"`; "auto" means the script's folder
+  findPublicPath(content, scriptUrl) {
+    const match = content.match(/(?:__webpack_require__|\b\w{1,3})\.p\s*=\s*(["'])([^"']*)\1/);
+    if (match && match[2] !== 'auto') return match[2];
+
+    try {
+      const url = new URL(scriptUrl);
+      return url.pathname.replace(/[^/]*$/, '');
+    } catch {
+      return '/';
+    }
+  }
+
+  // Chunk ids passed to `__webpack_require__.e(...)`
+  findLoadedChunkIds(content) {
+    const ids = [];
+    const pattern = /\.e\(\s*(\d+|"[^"]+"|'[^']+')\s*\)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      ids.push(match[1].replace(/^["']|["']$/g, ''));
+    }
+    return ids;
+  }
+
+  // Parse a `"static/js/" + e + "." + {1:"abc"}[e] + ".chunk.js"` style expression
+  parseTemplate(content, start, param) {
+    const state = { content, position: start, param, chunkIds: new Set() };
+    const parts = this.parseExpression(state);
+
+    if (!parts || !parts.some(part => part.type !== 'text')) return null;
+    return { parts, chunkIds: [...state.chunkIds] };
+  }
+
+  parseExpression(state) {
+    const parts = [];
+
+    while (state.position < state.content.length) {
+      const part = this.parseTerm(state);
+      if (!part) return null;
+      parts.push(part);
+
+      this.skipSpace(state);
+      if (state.content[state.position] !== '+') break;
+      state.position++;
+    }
+
+    return parts;
+  }
+
+  parseTerm(state) {
+    const { content, param } = state;
+    this.skipSpace(state);
+    const char = content[state.position];
+
+    if (char === '"' || char === "'") {
+      const end = content.indexOf(char, state.position + 1);
+      if (end === -1) return null;
+      const value = content.slice(state.position + 1, end);
+      state.position = end + 1;
+      return { type: 'text', value };
+    }
+
+    if (char === '(') {
+      // Group, optionally with a `|| id` fallback: `({...}[id] || id)`
+      state.position++;
+      const parts = this.parseExpression(state);
+      if (!parts) return null;
+
+      const rest = content.slice(state.position).match(new RegExp(`^\\s*(\\|\\|\\s*${param}\\s*)?\\)`));
+      if (!rest) return null;
+      state.position += rest[0].length;
+
+      // `({...})[id]` is a lookup on a parenthesized map
+      if (parts.length === 1 && parts[0].type === 'map' && !rest[1] && this.parseIndex(state)) {
+        return this.createLookup(state, parts[0].values);
+      }
+      return { type: 'group', parts, fallback: Boolean(rest[1]) };
+    }
+
+    if (char === '{') {
+      // `{...}[id]` lookup
+      const end = this.findClosingBrace(content, state.position);
+      if (end === -1) return null;
+      const values = this.parseObjectLiteral(content.slice(state.position, end + 1));
+      state.position = end + 1;
+
+      return this.parseIndex(state) ? this.createLookup(state, values) : { type: 'map', values };
+    }
+
+    const identifier = content.slice(state.position).match(/^[\w$]+(?:\.[\w$]+)*/);
+    if (!identifier) return null;
+    state.position += identifier[0].length;
+
+    if (identifier[0] === param) {
+      return { type: 'id' };
+    }
+    if (/\.p$/.test(identifier[0])) {
+      // webpack 4 inlines the public path, which is prepended anyway
+      return { type: 'text', value: '' };
+    }
+    return null;
+  }
+
+  // Consume a `[id]` index expression
+  parseIndex(state) {
+    const index = state.content.slice(state.position).match(new RegExp(`^\\s*\\[\\s*${state.param}\\s*\\]`));
+    if (!index) return false;
+    state.position += index[0].length;
+    return true;
+  }
+
+  createLookup(state, values) {
+    Object.keys(values).forEach(id => state.chunkIds.add(id));
+    return { type: 'lookup', values };
+  }
+
+  skipSpace(state) {
+    while (/\s/.test(state.content[state.position])) state.position++;
+  }
+
+  // Returns null when the chunk has no entry in a required map (not a JS chunk)
+  renderTemplate(parts, chunkId) {
+    let path = '';
+    for (const part of parts) {
+      if (part.type === 'text') {
+        path += part.value;
+      } else if (part.type === 'id') {
+        path += chunkId;
+      } else if (part.type === 'lookup') {
+        if (!(chunkId in part.values)) return null;
+        path += part.values[chunkId];
+      } else if (part.type === 'group') {
+        const rendered = this.renderTemplate(part.parts, chunkId);
+        if (rendered === null && !part.fallback) return null;
+        path += rendered === null ? chunkId : rendered;
+      } else {
+        return null;
+      }
+    }
+    return path;
+  }
+
+  findClosingBrace(content, start) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  // `{12:"abc","vendors-main":"def"}` -> plain object
+  parseObjectLiteral(source) {
+    const values = {};
+    const pattern = /(?:^|[{,])\s*(?:(\d+)|"([^"]+)"|'([^']+)'|([\w$]+))\s*:\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const key = match[1] ?? match[2] ?? match[3] ?? match[4];
+      values[key] = match[5] ?? match[6];
+    }
+    return values;
+  }
+
+  // Vite dynamic imports, `__vitePreload` dependency lists and `__vite__mapDeps`
+  enumerateVite(content, scriptUrl) {
+    const urls = [];
+
+    const importPattern = /\bimport\(\s*(["'`])([^"'`]+\.m?js)\1\s*\)/g;
+    let match;
+    while ((match = importPattern.exec(content)) !== null) {
+      urls.push(this.resolveUrl(match[2], scriptUrl));
+    }
+
+    if (!/__vitePreload|__vite__mapDeps|modulepreload/.test(content)) {
+      return urls;
+    }
+
+    // Preload deps are relative to the Vite base, e.g. "assets/About-5b1f.js"
+    const depPattern = /(["'])((?:\.{0,2}\/)?[\w@./-]*assets\/[\w@.-]+\.m?js)\1/g;
+    while ((match = depPattern.exec(content)) !== null) {
+      urls.push(this.resolveBaseRelative(match[2], scriptUrl));
+    }
+
+    return urls;
+  }
+
+  // Next.js `_buildManifest.js` lists every page's chunks
+  enumerateNextManifest(content, scriptUrl) {
+    if (!/__BUILD_MANIFEST/.test(content)) return [];
+
+    const urls = [];
+    const base = this.getNextBase(scriptUrl);
+    const pattern = /(["'])(static\/(?:chunks|[\w-]+\/pages)\/[^"']+\.js)\1/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      urls.push(this.resolveUrl(base + match[2], scriptUrl));
+    }
+    return urls;
+  }
+
+  getNextBase(scriptUrl) {
+    try {
+      const pathname = new URL(scriptUrl).pathname;
+      const index = pathname.indexOf('/_next/');
+      return index === -1 ? '/_next/' : pathname.slice(0, index) + '/_next/';
+    } catch {
+      return '/_next/';
+    }
+  }
+
+  // Resolve "assets/x.js" against the folder that contains the assets dir
+  resolveBaseRelative(path, scriptUrl) {
+    if (/^\.{0,2}\//.test(path)) {
+      return this.resolveUrl(path, scriptUrl);
+    }
+
+    try {
+      const url = new URL(scriptUrl);
+      const firstSegment = path.split('/')[0];
+      const index = url.pathname.lastIndexOf(`/${firstSegment}/`);
+      const base = index === -1 ? '/' : url.pathname.slice(0, index + 1);
+      return new URL(base + path, url.origin).href;
+    } catch {
+      return null;
+    }
+  }
+
+  resolveUrl(path, scriptUrl) {
+    try {
+      const url = new URL(path, scriptUrl);
+      return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChunkEnumerator;
+} else if (typeof window !== 'undefined') {
+  window.ChunkEnumerator = ChunkEnumerator;
+}
@@ -0,0 +1,245 @@
+// Cloud Asset Extractor - storage buckets and serverless endpoints referenced in analyzed scripts
+class CloudAssetExtractor {
+  constructor() {
+    this.maxAssetsPerScript = 500;
+    this.maxSourcesPerAsset = 10;
+
+    const bucket = '([a-z0-9][a-z0-9.-]{1,61}[a-z0-9])';
+    const awsRegion = '([a-z]{2}(?:-gov)?-[a-z]+-\\d)';
+    // Nothing that can continue a hostname before, a URL delimiter after
+    const start = '(?<![\\w.-])';
+    const end = '(?=[/?#:"\'`\\s\\\\)]|$)';
+
+    // Each pattern maps its captures to { name, region } for one provider
+    this.patterns = [
+      {
+        // bucket.s3.amazonaws.com, bucket.s3.us-east-1.amazonaws.com, bucket.s3-website-us-west-2.amazonaws.com
+        provider: 's3',
+        pattern: new RegExp(`${start}${bucket}\\.s3(?:[.-](?:website[.-])?(?:dualstack\\.)?${awsRegion})?\\.amazonaws\\.com${end}`, 'gi'),
+        parse: match => ({ name: match[1], region: match[2] })
+      },
+      {
+        // s3.amazonaws.com/bucket, s3.eu-west-1.amazonaws.com/bucket, s3-eu-west-1.amazonaws.com/bucket
+        provider: 's3',
+        pattern: new RegExp(`${start}s3(?:[.-](?:dualstack\\.)?${awsRegion})?\\.amazonaws\\.com/${bucket}${end}`, 'gi'),
+        parse: match => ({ name: match[2], region: match[1] })
+      },
+      {
+        provider: 's3',
+        pattern: new RegExp(`(?:\\bs3://|arn:aws:s3:::)${bucket}${end}`, 'gi'),
+        parse: match => ({ name: match[1] })
+      },
+      {
+        // storage.googleapis.com/bucket, JSON API (/storage/v1/b/bucket) and console download links
+        provider: 'gcs',
+        pattern: new RegExp(`${start}storage\\.(?:googleapis|cloud\\.google)\\.com/(?:(?:download/|upload/)?storage/v1/b/)?([a-z0-9][a-z0-9._-]{1,220}[a-z0-9])${end}`, 'gi'),
+        parse: match => ({ name: match[1] })
+      },
+      {
+        provider: 'gcs',
+        pattern: new RegExp(`${start}([a-z0-9][a-z0-9._-]{1,61}[a-z0-9])\\.storage\\.googleapis\\.com${end}`, 'gi'),
+        parse: match => ({ name: match[1] })
+      },
+      {
+        provider: 'gcs',
+        pattern: new RegExp(`\\bgs://([a-z0-9][a-z0-9._-]{1,220}[a-z0-9])${end}`, 'gi'),
+        parse: match => ({ name: match[1] })
+      },
+      {
+        provider: 'firebase',
+        pattern: new RegExp(`${start}firebasestorage\\.googleapis\\.com/v0/b/([a-z0-9][a-z0-9._-]{1,220}[a-z0-9])${end}`, 'gi'),
+        parse: match => ({ name: match[1] })
+      },
+      {
+        // Firebase web config: storageBucket: "project.appspot.com"
+        provider: 'firebase',
+        pattern: /storageBucket["']?\s*[:=]\s*["'`]([a-z0-9][a-z0-9._-]*\.(?:appspot\.com|firebasestorage\.app))["'`]/gi,
+        parse: match => ({ name: match[1] })
+      },
+      {
+        // account.blob.core.windows.net[/container]
+        provider: 'azure-blob',
+        pattern: new RegExp(`${start}([a-z0-9]{3,24})\\.blob\\.core\\.windows\\.net(?:/([a-z0-9](?:[a-z0-9-]{1,61}[a-z0-9])?|\\$root|\\$web)${end})?`, 'gi'),
+        parse: match => ({ name: match[2] ? `${match[1]}/${match[2]}` : match[1] })
+      },
+      {
+        // bucket.nyc3.digitaloceanspaces.com, bucket.nyc3.cdn.digitaloceanspaces.com
+        provider: 'do-spaces',
+        pattern: new RegExp(`${start}([a-z0-9][a-z0-9-]{1,61}[a-z0-9])\\.([a-z]{3}\\d)\\.(?:cdn\\.)?digitaloceanspaces\\.com${end}`, 'gi'),
+        parse: match => ({ name: match[1], region: match[2] })
+      },
+      {
+        provider: 'do-spaces',
+        pattern: new RegExp(`${start}([a-z]{3}\\d)\\.digitaloceanspaces\\.com/([a-z0-9][a-z0-9-]{1,61}[a-z0-9])${end}`, 'gi'),
+        parse: match => ({ name: match[2], region: match[1] })
+      },
+      {
+        provider: 'lambda-url',
+        pattern: new RegExp(`${start}([a-z0-9]{32})\\.lambda-url\\.${awsRegion}\\.on\\.aws${end}`, 'gi'),
+        parse: match => ({ name: match[1], region: match[2] })
+      },
+      {
+        provider: 'api-gateway',
+        pattern: new RegExp(`${start}([a-z0-9]{10})\\.execute-api\\.${awsRegion}\\.amazonaws\\.com${end}`, 'gi'),
+        parse: match => ({ name: match[1], region: match[2] })
+      },
+      {
+        // service-123456789012.us-central1.run.app (regional URL)
+        provider: 'cloud-run',
+        pattern: new RegExp(`${start}([a-z](?:[a-z0-9-]{0,61}[a-z0-9])?)-\\d{12}\\.([a-z]+-[a-z]+\\d+)\\.run\\.app${end}`, 'gi'),
+        parse: match => ({ name: match[1], region: match[2], host: match[0] })
+      },
+      {
+        // service-abc123xyz-uc.a.run.app; the hash and region code can't be split off reliably
+        provider: 'cloud-run',
+        pattern: new RegExp(`${start}([a-z](?:[a-z0-9-]{0,61}[a-z0-9])?)\\.a\\.run\\.app${end}`, 'gi'),
+        parse: match => ({ name: match[1], host: match[0] })
+      },
+      {
+        // us-central1-project.cloudfunctions.net/function
+        provider: 'cloud-functions',
+        pattern: new RegExp(`${start}([a-z]+-[a-z]+\\d+)-([a-z][a-z0-9-]{4,28}[a-z0-9])\\.cloudfunctions\\.net/([\\w-]+)${end}`, 'gi'),
+        parse: match => ({ name: `${match[2].toLowerCase()}/${match[3]}`, region: match[1] })
+      }
+    ];
+
+    this.providers = {
+      's3': { label: 'AWS S3', kind: 'bucket' },
+      'gcs': { label: 'Google Cloud Storage', kind: 'bucket' },
+      'firebase': { label: 'Firebase Storage', kind: 'bucket' },
+      'azure-blob': { label: 'Azure Blob Storage', kind: 'bucket' },
+      'do-spaces': { label: 'DigitalOcean Spaces', kind: 'bucket' },
+      'lambda-url': { label: 'AWS Lambda function URL', kind: 'function' },
+      'api-gateway': { label: 'AWS API Gateway', kind: 'function' },
+      'cloud-run': { label: 'Google Cloud Run', kind: 'function' },
+      // Function names are case-sensitive
+      'cloud-functions': { label: 'Google Cloud Functions', kind: 'function', caseSensitive: true }
+    };
+  }
+
+  // Normalized { provider, kind, name, region, url } references in a script body, one per asset
+  extract(content) {
+    const assets = new Map();
+
+    for (const { provider, pattern, parse } of this.patterns) {
+      let match;
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(content)) !== null && assets.size < this.maxAssetsPerScript) {
+        const asset = this.normalize(provider, parse(match));
+        if (asset) {
+          const key = this.getKey(asset);
+          assets.set(key, this.mergeAsset(assets.get(key), asset));
+        }
+      }
+      pattern.lastIndex = 0;
+    }
+
+    return [...assets.values()];
+  }
+
+  normalize(provider, { name, region = null, host = null }) {
+    const normalizedName = this.providers[provider].caseSensitive ? name : name.toLowerCase();
+
+    // Bucket names can't look like IP addresses or contain ".."
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(normalizedName) || normalizedName.includes('..')) return null;
+
+    const asset = {
+      provider,
+      kind: this.providers[provider].kind,
+      name: normalizedName,
+      region: region ? region.toLowerCase() : null,
+      ...(host ? { host: host.toLowerCase() } : {})
+    };
+    return { ...asset, url: this.getUrl(asset) };
+  }
+
+  // Same bucket/function regardless of how it was referenced
+  getKey(asset) {
+    return `${asset.provider}:${asset.name}`;
+  }
+
+  // Canonical URL for permission testing (listing, upload, invoke)
+  getUrl({ provider, name, region, host }) {
+    switch (provider) {
+      case 's3':
+        // Path-style, so buckets with dots don't break TLS
+        return region ? `https://s3.${region}.amazonaws.com/${name}/` : `https://s3.amazonaws.com/${name}/`;
+      case 'gcs':
+        return `https://storage.googleapis.com/${name}/`;
+      case 'firebase':
+        return `https://firebasestorage.googleapis.com/v0/b/${name}/o`;
+      case 'azure-blob': {
+        const [account, container] = name.split('/');
+        return container
+          ? `https://${account}.blob.core.windows.net/${container}?restype=container&comp=list`
+          : `https://${account}.blob.core.windows.net/?comp=list`;
+      }
+      case 'do-spaces':
+        return `https://${region}.digitaloceanspaces.com/${name}/`;
+      case 'lambda-url':
+        return `https://${name}.lambda-url.${region}.on.aws/`;
+      case 'api-gateway':
+        return `https://${name}.execute-api.${region}.amazonaws.com/`;
+      case 'cloud-run':
+        return `https://${host}/`;
+      case 'cloud-functions': {
+        const [project, fn] = name.split('/');
+        return `https://${region}-${project}.cloudfunctions.net/${fn}`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  // A later reference may know the region an earlier one didn't
+  mergeAsset(existing, asset) {
+    if (!existing) return asset;
+    if (existing.region || !asset.region) return existing;
+
+    const merged = { ...existing, region: asset.region };
+    return { ...merged, url: this.getUrl(merged) };
+  }
+
+  // Merge assets found in one script into the stored, de-duplicated workspace list
+  mergeAssets(stored = {}, assets, sourceUrl) {
+    const merged = { ...stored };
+    const now = new Date().toISOString();
+
+    assets.forEach(asset => {
+      const key = this.getKey(asset);
+      const existing = merged[key];
+      const sources = existing ? existing.sources : [];
+
+      merged[key] = {
+        ...this.mergeAsset(existing, asset),
+        firstSeen: existing?.firstSeen || now,
+        lastSeen: now,
+        count: (existing?.count || 0) + 1,
+        sources: sources.includes(sourceUrl) || sources.length >= this.maxSourcesPerAsset
+          ? sources
+          : [...sources, sourceUrl]
+      };
+    });
+
+    return merged;
+  }
+
+  // Buckets first, then functions; by provider and name within each
+  toList(stored = {}) {
+    const kindOrder = { bucket: 0, function: 1 };
+    return Object.values(stored).sort((a, b) =>
+      kindOrder[a.kind] - kindOrder[b.kind] || a.provider.localeCompare(b.provider) || a.name.localeCompare(b.name)
+    );
+  }
+
+  getProviderLabel(provider) {
+    return this.providers[provider]?.label || provider;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CloudAssetExtractor;
+} else if (typeof window !== 'undefined') {
+  window.CloudAssetExtractor = CloudAssetExtractor;
+}
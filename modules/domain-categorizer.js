@@ -1,7 +1,8 @@
 // Domain Categorization Engine
 class DomainCategorizer {
-  constructor() {
-    this.currentDomain = window.location.hostname;
+  // currentDomain defaults to the page's host; the service worker passes the script's host
+  constructor(currentDomain = typeof window !== 'undefined' ? window.location.hostname : '') {
+    this.currentDomain = currentDomain.toLowerCase();
     this.categories = {
       local: new Set(),
       thirdParty: new Set(),
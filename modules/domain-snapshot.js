@@ -20,33 +20,45 @@ class DomainSnapshotEngine {
 
   // Start capturing a new snapshot
   startSnapshot(domain = window.location.hostname) {
-    const snapshotId = `${domain}_${Date.now()}`;
+    this.currentSnapshot = this.createSnapshot(domain, window.location.href, new Date().toISOString());
+    this.currentSnapshot.metadata = {
+      userAgent: navigator.userAgent,
+      viewport: `${window.innerWidth}x${window.innerHeight}`,
+      language: navigator.language,
+      cookies: document.cookie ? document.cookie.split(';').length : 0,
+      localStorage: this.getStorageSize('localStorage'),
+      sessionStorage: this.getStorageSize('sessionStorage')
+    };
+    this.currentSnapshot.performance.navigationTiming = this.getNavigationTiming();
+    this.currentSnapshot.security.csp = this.getCSPInfo();
+
+    this.isCapturing = true;
+    this.captureInitialDOM();
+    this.setupPerformanceObserver();
     
-    this.currentSnapshot = {
-      id: snapshotId,
+    return this.currentSnapshot.id;
+  }
+
+  // Empty snapshot structure, shared by live capture and HAR import
+  createSnapshot(domain, url, startTime) {
+    return {
+      id: `${domain}_${Date.now()}`,
       domain: domain,
-      url: window.location.href,
-      startTime: new Date().toISOString(),
+      url: url,
+      startTime: startTime,
       endTime: null,
       duration: 0,
-      metadata: {
-        userAgent: navigator.userAgent,
-        viewport: `${window.innerWidth}x${window.innerHeight}`,
-        language: navigator.language,
-        cookies: document.cookie ? document.cookie.split(';').length : 0,
-        localStorage: this.getStorageSize('localStorage'),
-        sessionStorage: this.getStorageSize('sessionStorage')
-      },
+      metadata: {},
       assets: new Map(),
       performance: {
-        navigationTiming: this.getNavigationTiming(),
+        navigationTiming: {},
         resourceTiming: [],
         metrics: {}
       },
       security: {
-        protocol: window.location.protocol,
+        protocol: new URL(url).protocol,
         mixedContent: [],
-        csp: this.getCSPInfo(),
+        csp: { hasCSP: false, policies: [] },
         certificates: []
       },
       dom: {
@@ -63,12 +75,6 @@ class DomainSnapshotEngine {
         protocols: new Set()
       }
     };
-
-    this.isCapturing = true;
-    this.captureInitialDOM();
-    this.setupPerformanceObserver();
-    
-    return snapshotId;
   }
 
   // Stop capturing and finalize snapshot
@@ -80,6 +86,10 @@ class DomainSnapshotEngine {
     this.currentSnapshot.endTime = new Date().toISOString();
     this.currentSnapshot.duration = Date.now() - new Date(this.currentSnapshot.startTime).getTime();
     
+    return this.finalizeSnapshot();
+  }
+
+  finalizeSnapshot() {
     // Finalize asset map
     this.generateAssetMap();
     
@@ -312,7 +322,8 @@ class DomainSnapshotEngine {
         type: entry.initiatorType,
         size: entry.transferSize || entry.encodedBodySize || 0,
         duration: entry.duration,
-        startTime: entry.startTime
+        startTime: entry.startTime,
+        status: entry.responseStatus || 0
       });
     }
   }
@@ -350,9 +361,14 @@ class DomainSnapshotEngine {
     }
   }
 
-  // Generate unique asset ID
+  // Generate unique asset ID (FNV-1a over the whole URL; a base64 prefix collided for every asset on one origin)
   generateAssetId(url) {
-    return btoa(url).replace(/[+=\/]/g, '').substr(0, 16);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < url.length; i++) {
+      hash ^= url.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `asset_${(hash >>> 0).toString(16).padStart(8, '0')}_${url.length.toString(36)}`;
   }
 
   // Get navigation timing
@@ -446,11 +462,11 @@ class DomainSnapshotEngine {
       assetMap.byDomain[asset.domain].push(asset);
 
       // Security analysis
-      if (window.location.protocol === 'https:' && asset.protocol === 'http:') {
+      if (this.currentSnapshot.security.protocol === 'https:' && asset.protocol === 'http:') {
         assetMap.security.mixedContent.push(asset);
       }
 
-      if (asset.domain !== window.location.hostname && !asset.security.hasIntegrity) {
+      if (asset.domain !== this.currentSnapshot.domain && !asset.security.hasIntegrity) {
         assetMap.security.missingIntegrity.push(asset);
       }
 
@@ -684,12 +700,20 @@ class DomainSnapshotEngine {
     const exportData = {
       snapshot: {
         ...snapshot,
-        assets: Object.fromEntries(snapshot.assets)
+        assets: Object.fromEntries(snapshot.assets),
+        network: {
+          ...snapshot.network,
+          domains: Array.from(snapshot.network.domains),
+          protocols: Array.from(snapshot.network.protocols)
+        }
       },
       assetMap
     };
+    delete exportData.snapshot.performanceObserver;
 
     switch (format.toLowerCase()) {
+      case 'har':
+        return JSON.stringify(this.exportSnapshotAsHAR(exportData), null, 2);
       case 'csv':
         return this.exportSnapshotAsCSV(exportData);
       case 'txt':
@@ -699,6 +723,246 @@ class DomainSnapshotEngine {
     }
   }
 
+  // Export snapshot as a HAR 1.2 log. Only timing and asset metadata were recorded, so headers
+  // and bodies are empty; works on stored (JSON) snapshots as well as in-memory ones
+  exportSnapshotAsHAR(data) {
+    const snapshot = data.snapshot;
+    const assets = Object.values(snapshot.assets || {});
+    const assetsByUrl = new Map(assets.filter(asset => asset.url).map(asset => [asset.url, asset]));
+    const pageStart = new Date(snapshot.startTime).getTime();
+    const navigationStart = snapshot.performance?.navigationTiming?.navigationStart || pageStart;
+    const pageId = 'page_1';
+    const seen = new Set();
+    const entries = [];
+
+    (snapshot.performance?.resourceTiming || []).forEach(timing => {
+      seen.add(timing.name);
+      entries.push(this.buildHAREntry(timing.name, assetsByUrl.get(timing.name), timing, navigationStart, pageId));
+    });
+
+    // Assets from the DOM that resource timing never reported (cached, blocked, cross-origin iframes)
+    assets.forEach(asset => {
+      if (!asset.url || seen.has(asset.url)) return;
+      seen.add(asset.url);
+      entries.push(this.buildHAREntry(asset.url, asset, null, navigationStart, pageId));
+    });
+
+    const onLoad = snapshot.performance?.navigationTiming?.loadComplete;
+
+    return {
+      log: {
+        version: '1.2',
+        creator: {
+          name: 'LazyEgg',
+          version: typeof chrome !== 'undefined' && chrome.runtime?.getManifest ? chrome.runtime.getManifest().version : ''
+        },
+        pages: [{
+          startedDateTime: new Date(pageStart).toISOString(),
+          id: pageId,
+          title: snapshot.url,
+          pageTimings: {
+            onContentLoad: -1,
+            onLoad: onLoad > 0 ? onLoad : -1
+          }
+        }],
+        entries: entries
+          .filter(Boolean)
+          .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime))
+      }
+    };
+  }
+
+  buildHAREntry(url, asset, timing, navigationStart, pageId) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const phases = asset?.timing || {};
+    const size = timing?.size || asset?.size || 0;
+    const duration = Math.max(0, timing?.duration ?? asset?.loadTime ?? 0);
+    const startTime = timing?.startTime ?? phases.startTime ?? 0;
+
+    // HAR requires time to be the sum of the phases, so "wait" takes whatever isn't accounted for
+    const dns = phases.domainLookup >= 0 ? phases.domainLookup : -1;
+    const connect = phases.connect >= 0 ? phases.connect : -1;
+    const receive = phases.response >= 0 ? phases.response : 0;
+    const wait = Math.max(0, duration - Math.max(dns, 0) - Math.max(connect, 0) - receive);
+
+    return {
+      pageref: pageId,
+      startedDateTime: new Date(navigationStart + startTime).toISOString(),
+      time: Math.max(dns, 0) + Math.max(connect, 0) + wait + receive,
+      request: {
+        method: asset?.metadata?.method || 'GET',
+        url: url,
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        queryString: Array.from(urlObj.searchParams).map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: timing?.status || asset?.metadata?.status || 0,
+        statusText: '',
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        content: {
+          size: size,
+          mimeType: asset?.metadata?.mimeType || this.getMimeType(asset?.type)
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: size || -1
+      },
+      cache: {},
+      timings: {
+        blocked: -1,
+        dns: dns,
+        connect: connect,
+        send: 0,
+        wait: wait,
+        receive: receive,
+        ssl: -1
+      },
+      _resourceType: timing?.type || asset?.type || 'other'
+    };
+  }
+
+  // Create a snapshot from a HAR 1.2 log (e.g. saved from DevTools). Returns the snapshot ID and
+  // the JavaScript response bodies so they can be analyzed without fetching them again
+  importHAR(har) {
+    const log = (typeof har === 'string' ? JSON.parse(har) : har)?.log;
+    if (!log || !Array.isArray(log.entries)) {
+      throw new Error('Not a HAR file (missing log.entries)');
+    }
+
+    const entries = log.entries
+      .filter(entry => /^https?:/i.test(entry.request?.url || ''))
+      .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+    if (entries.length === 0) {
+      throw new Error('HAR file has no HTTP entries');
+    }
+
+    const page = log.pages?.[0];
+    const documentEntry = entries.find(entry => /html/i.test(entry.response?.content?.mimeType || ''));
+    const pageUrl = /^https?:/i.test(page?.title || '') ? page.title : (documentEntry || entries[0]).request.url;
+    const pageStart = new Date(page?.startedDateTime || entries[0].startedDateTime).getTime() || Date.now();
+
+    this.currentSnapshot = this.createSnapshot(new URL(pageUrl).hostname, pageUrl, new Date(pageStart).toISOString());
+    this.currentSnapshot.metadata = {
+      importedFrom: 'har',
+      creator: log.creator ? `${log.creator.name} ${log.creator.version}`.trim() : null,
+      entries: entries.length
+    };
+    this.currentSnapshot.performance.navigationTiming = {
+      navigationStart: pageStart,
+      loadComplete: page?.pageTimings?.onLoad > 0 ? page.pageTimings.onLoad : 0
+    };
+
+    const scripts = new Map();
+    let endTime = pageStart;
+
+    entries.forEach(entry => {
+      const url = entry.request.url;
+      const response = entry.response || {};
+      const content = response.content || {};
+      const mimeType = (content.mimeType || '').split(';')[0].trim().toLowerCase();
+      const timings = entry.timings || {};
+      const startedAt = new Date(entry.startedDateTime).getTime() || pageStart;
+      const duration = Math.max(0, entry.time || 0);
+      const size = response.bodySize > 0 ? response.bodySize : Math.max(0, content.size || 0);
+
+      let type = this.determineAssetType(url);
+      if (type === 'unknown') type = this.getAssetTypeFromMime(mimeType);
+
+      this.addAsset(url, type, {
+        discoveredVia: 'har',
+        method: entry.request.method,
+        status: response.status,
+        mimeType: mimeType,
+        initiator: entry._initiator?.type,
+        resourceType: entry._resourceType
+      });
+
+      const asset = this.currentSnapshot.assets.get(this.generateAssetId(url));
+      if (!asset) return;
+
+      asset.size = size;
+      asset.loadTime = duration;
+      asset.timing = {
+        startTime: startedAt - pageStart,
+        duration: duration,
+        domainLookup: timings.dns >= 0 ? timings.dns : -1,
+        connect: timings.connect >= 0 ? timings.connect : -1,
+        request: timings.wait >= 0 ? timings.wait : 0,
+        response: timings.receive >= 0 ? timings.receive : 0
+      };
+      this.currentSnapshot.network.totalSize += size;
+      this.currentSnapshot.performance.resourceTiming.push({
+        name: url,
+        type: entry._resourceType || type,
+        size: size,
+        duration: duration,
+        startTime: startedAt - pageStart,
+        status: response.status || 0
+      });
+      endTime = Math.max(endTime, startedAt + duration);
+
+      // JSONP and API-served bundles are scripts too, the MIME type decides
+      const isScript = type === 'javascript' || /javascript|ecmascript/.test(mimeType);
+      if (isScript && content.text && !scripts.has(url)) {
+        const text = this.decodeHARContent(content);
+        if (text) {
+          scripts.set(url, {
+            url,
+            content: text,
+            headers: (response.headers || []).filter(header => header.name && !header.name.startsWith(':'))
+          });
+        }
+      }
+    });
+
+    this.currentSnapshot.endTime = new Date(endTime).toISOString();
+    this.currentSnapshot.duration = endTime - pageStart;
+
+    return {
+      snapshotId: this.finalizeSnapshot(),
+      scripts: Array.from(scripts.values())
+    };
+  }
+
+  // HAR bodies are plain text or base64 (binary or compressed as captured)
+  decodeHARContent(content) {
+    if (content.encoding !== 'base64') return content.text;
+
+    try {
+      const bytes = Uint8Array.from(atob(content.text), char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    } catch {
+      return null;
+    }
+  }
+
+  getAssetTypeFromMime(mimeType) {
+    for (const [type, config] of Object.entries(this.assetTypes)) {
+      const matches = (config.mimeTypes || []).some(pattern =>
+        pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : mimeType === pattern
+      );
+      if (matches) return type;
+    }
+    return 'unknown';
+  }
+
+  getMimeType(type) {
+    const mimeType = this.assetTypes[type]?.mimeTypes?.[0];
+    return mimeType && !mimeType.endsWith('/*') ? mimeType : 'x-unknown';
+  }
+
   // Export snapshot as CSV
   exportSnapshotAsCSV(data) {
     let csv = 'Asset ID,URL,Type,Domain,Size,Load Time,Protocol,Is Secure,Cross Origin\n';
@@ -722,7 +986,7 @@ class DomainSnapshotEngine {
     output += `Summary:\n`;
     output += `  Total Assets: ${Object.keys(snapshot.assets).length}\n`;
     output += `  Total Size: ${snapshot.network.totalSize} bytes\n`;
-    output += `  Unique Domains: ${snapshot.network.domains.size}\n`;
+    output += `  Unique Domains: ${snapshot.network.domains.length}\n`;
     output += `  Total Requests: ${snapshot.network.requests}\n\n`;
     
     if (data.assetMap) {
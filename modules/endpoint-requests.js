@@ -0,0 +1,242 @@
+// Endpoint Request Builder - turns stored endpoint details into concrete requests for exports
+class EndpointRequestBuilder {
+  constructor() {
+    this.bodylessMethods = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+    this.contentTypes = {
+      json: 'application/json',
+      urlencoded: 'application/x-www-form-urlencoded',
+      multipart: 'multipart/form-data',
+      text: 'text/plain'
+    };
+    this.staticAssetPattern = /\.(?:m?js|css|map|png|jpe?g|gif|svg|webp|ico|woff2?|ttf|eot|mp4|webm|mp3)$/i;
+
+    // Categories that hold HTTP endpoints (routes are client-side, websockets aren't HTTP)
+    this.apiCategories = ['endpoints', 'urls', 'graphql', 'uploads', 'docs'];
+  }
+
+  // One request per inferred method; endpoints without details are plain GETs
+  getRequests(endpointsData, endpoint) {
+    const detail = endpointsData?.endpointDetails?.[endpoint] || null;
+    const methods = detail?.methods?.length ? detail.methods : ['GET'];
+
+    return methods.map(method => {
+      // DELETE bodies are only kept when the call site actually sent one
+      const body = detail?.body && (!this.bodylessMethods.includes(method) ||
+        (method === 'DELETE' && detail.body.keys.length > 0)) ? detail.body : null;
+
+      return {
+        method,
+        headers: detail?.headers || [],
+        query: detail?.query || [],
+        body,
+        contentType: body ? this.getContentType(body) : null,
+        line: detail?.line || null,
+        column: detail?.column || null
+      };
+    });
+  }
+
+  // HTTP endpoints with their parsed URL and inferred requests, shared by the API export formats
+  collectApiEndpoints(endpoints) {
+    const collected = [];
+
+    Object.values(endpoints || {}).forEach(data => {
+      const eps = data.endpoints || {};
+      this.apiCategories.forEach(category => {
+        (Array.isArray(eps[category]) ? eps[category] : []).forEach(endpoint => {
+          // GraphQL documents share the category with GraphQL endpoint URLs
+          if (/^\s*(query|mutation|subscription|fragment)\b/.test(endpoint)) return;
+
+          const detail = eps.endpointDetails?.[endpoint] || null;
+          const parsed = this.parseEndpoint(endpoint, data.url, detail);
+          if (!parsed || parsed.isStaticAsset) return;
+
+          collected.push({
+            endpoint,
+            category,
+            parsed,
+            scriptUrl: data.url,
+            // The original file for source map findings, the script otherwise
+            source: detail?.file || data.locations?.[endpoint]?.file || data.url,
+            requests: this.getRequests(eps, endpoint)
+          });
+        });
+      });
+    });
+
+    return collected;
+  }
+
+  // `{API}` style servers default to the origin of the script they were found in
+  getServerDefault(parsed, scriptUrl) {
+    if (parsed.serverVariables.length === 0) return parsed.server;
+    try {
+      return new URL(scriptUrl).origin;
+    } catch {
+      return '';
+    }
+  }
+
+  // "https://api.x.com/users/123?q=" -> server, templated path ("/users/{userId}") and parameter names
+  parseEndpoint(endpoint, sourceUrl, detail = null) {
+    if (typeof endpoint !== 'string' || !endpoint || /\s/.test(endpoint)) return null;
+
+    // `{API}/users` - the base URL is a runtime value, kept as a server variable
+    const hostVariable = endpoint.match(/^\{([^{}]+)\}(?=\/|$)/);
+    const value = hostVariable ? endpoint.slice(hostVariable[0].length) || '/' : endpoint;
+
+    // Keep AST placeholders intact through URL parsing
+    const placeholders = [];
+    const masked = value.replace(/\{([^{}]*)\}/g, (match, name) => {
+      placeholders.push(name || 'param');
+      return `lzparam${placeholders.length - 1}lz`;
+    });
+    const restore = (text) => text.replace(/lzparam(\d+)lz/g, (match, index) => `{${placeholders[index]}}`);
+
+    let url;
+    try {
+      url = new URL(masked, hostVariable ? 'https://server.invalid' : sourceUrl || undefined);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    let server = hostVariable ? `{${hostVariable[1]}}` : url.origin;
+    let pathname = url.pathname;
+
+    // axios.create({ baseURL }) paths belong to the base URL
+    if (!hostVariable && detail?.baseUrl) {
+      try {
+        const base = new URL(detail.baseUrl.replace(/\{[^{}]*\}/g, 'lzbaselz'), sourceUrl || undefined);
+        const basePath = base.pathname.replace(/\/+$/, '');
+        if (base.origin === url.origin && !basePath.includes('lzbaselz') && pathname.startsWith(`${basePath}/`)) {
+          server = url.origin + basePath;
+          pathname = pathname.slice(basePath.length);
+        }
+      } catch {
+        // Unresolvable base URL, fall back to the origin
+      }
+    }
+
+    const usedNames = new Set();
+    const segments = pathname.split('/').map((segment, index, all) => {
+      let decoded;
+      try {
+        decoded = decodeURIComponent(segment);
+      } catch {
+        decoded = segment;
+      }
+
+      if (/^lzparam\d+lz$/.test(decoded)) {
+        return `{${this.uniqueName(this.sanitizeParamName(restore(decoded).slice(1, -1)), usedNames)}}`;
+      }
+      if (this.isIdentifierSegment(decoded)) {
+        return `{${this.uniqueName(this.getParamName(all[index - 1]), usedNames)}}`;
+      }
+      return restore(decoded);
+    });
+
+    const query = new Set([...url.searchParams.keys()].map(restore));
+    (detail?.query || []).forEach(name => query.add(name));
+
+    return {
+      url: hostVariable ? `${server}${restore(url.pathname)}${restore(url.search)}` : restore(url.href),
+      server,
+      serverVariables: hostVariable ? [hostVariable[1]] : [],
+      path: segments.join('/') || '/',
+      pathParams: [...usedNames],
+      query: [...query],
+      isStaticAsset: this.staticAssetPattern.test(url.pathname)
+    };
+  }
+
+  // Numeric ids, UUIDs and long hex hashes are path parameters
+  isIdentifierSegment(segment) {
+    return /^\d+$/.test(segment) ||
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+      /^[a-f0-9]{16,}$/i.test(segment);
+  }
+
+  // "/users/123" -> userId
+  getParamName(previousSegment) {
+    if (!previousSegment || !/^[A-Za-z][\w-]*$/.test(previousSegment)) return 'id';
+    const singular = previousSegment
+      .replace(/ies$/i, 'y')
+      .replace(/(?<!s)s$/i, '')
+      .replace(/[-_](\w)/g, (match, char) => char.toUpperCase());
+    return `${singular}Id`;
+  }
+
+  sanitizeParamName(name) {
+    const sanitized = name.replace(/[^\w.-]/g, '');
+    return sanitized || 'param';
+  }
+
+  uniqueName(name, usedNames) {
+    let unique = name;
+    for (let index = 2; usedNames.has(unique); index++) {
+      unique = `${name}${index}`;
+    }
+    usedNames.add(unique);
+    return unique;
+  }
+
+  getContentType(body) {
+    return this.contentTypes[body.type] || this.contentTypes.text;
+  }
+
+  // Sample payload with empty values, e.g. {"user":{"name":""}} or "a=&b="
+  buildSampleBody(body) {
+    if (!body) return '';
+
+    switch (body.type) {
+      case 'json':
+        return JSON.stringify(this.buildJsonShape(body.keys));
+      case 'urlencoded':
+        return body.keys.map(key => `${encodeURIComponent(key)}=`).join('&');
+      default:
+        return '';
+    }
+  }
+
+  // Dotted key paths back into a nested object; "items[].id" becomes an array of objects
+  buildJsonShape(keys) {
+    const shape = {};
+    const parents = new Set(keys
+      .filter(key => key.includes('.'))
+      .map(key => key.replace(/(\[\])?\.[^.]+$/, '')));
+
+    keys.forEach(key => {
+      let target = shape;
+      const segments = key.split('.');
+
+      segments.forEach((segment, index) => {
+        const isArray = segment.endsWith('[]');
+        const name = isArray ? segment.slice(0, -2) : segment;
+        const isLeaf = index === segments.length - 1;
+
+        if (isLeaf && !parents.has(key)) {
+          if (!(name in target)) target[name] = '';
+          return;
+        }
+
+        if (isArray) {
+          if (!Array.isArray(target[name])) target[name] = [{}];
+          target = target[name][0];
+        } else {
+          if (typeof target[name] !== 'object' || target[name] === null) target[name] = {};
+          target = target[name];
+        }
+      });
+    });
+
+    return shape;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EndpointRequestBuilder;
+} else if (typeof window !== 'undefined') {
+  window.EndpointRequestBuilder = EndpointRequestBuilder;
+}
@@ -5,16 +5,23 @@ class LazyEggExporter {
       json: 'JSON Format',
       csv: 'CSV Format', 
       txt: 'Text Report',
-      burp: 'Burp Suite Format',
+      burp: 'Burp Suite Items XML',
+      'burp-urls': 'Burp Suite URL List',
+      openapi: 'OpenAPI 3 Specification',
+      postman: 'Postman Collection v2.1',
+      insomnia: 'Insomnia Export v4',
       sarif: 'SARIF Format (Security)',
       linkfinder: 'LinkFinder Compatible'
     };
+    this.requestBuilder = new EndpointRequestBuilder();
+    // Shared by the OpenAPI, Postman and Insomnia exports
+    this.apiDescription = 'Endpoints discovered in JavaScript by LazyEgg. Methods, parameters and bodies are inferred from call sites.';
   }
 
   // Export endpoints in LinkFinder compatible format
   async exportEndpointsForLinkFinder() {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'getEndpoints' }, (endpoints) => {
+      chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, (endpoints) => {
         const linkfinderData = {
           tool: "LazyEgg-LinkFinder",
           version: "1.0",
@@ -27,12 +34,17 @@ class LazyEggExporter {
           Object.entries(eps).forEach(([category, categoryEndpoints]) => {
             if (Array.isArray(categoryEndpoints)) {
               categoryEndpoints.forEach(endpoint => {
-                linkfinderData.endpoints.push({
-                  url: endpoint,
-                  source: data.url,
-                  category: category,
-                  method: "GET",
-                  type: "discovered"
+                this.requestBuilder.getRequests(eps, endpoint).forEach(request => {
+                  linkfinderData.endpoints.push({
+                    url: endpoint,
+                    source: data.url,
+                    category: category,
+                    method: request.method,
+                    headers: request.headers,
+                    query: request.query,
+                    body: request.body,
+                    type: "discovered"
+                  });
                 });
               });
             }
@@ -44,47 +56,434 @@ class LazyEggExporter {
     });
   }
 
-  // Export endpoints for Burp Suite integration
-  async exportEndpointsForBurp() {
+  // Export endpoints as Burp Suite items XML (site map import) or a plain URL list
+  async exportEndpointsForBurp(format = 'burp') {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'getEndpoints' }, (endpoints) => {
-        const burpData = [];
+      chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, (endpoints) => {
+        const burpExporter = new BurpExporter(this.requestBuilder);
+        resolve(format === 'burp-urls'
+          ? burpExporter.buildUrlList(endpoints)
+          : burpExporter.buildItemsXml(endpoints));
+      });
+    });
+  }
 
-        Object.values(endpoints).forEach(data => {
-          const eps = data.endpoints;
-          Object.entries(eps).forEach(([category, categoryEndpoints]) => {
-            if (Array.isArray(categoryEndpoints)) {
-              categoryEndpoints.forEach(endpoint => {
-                try {
-                  const url = new URL(endpoint, data.url || window.location.href);
-                  burpData.push({
-                    protocol: url.protocol.replace(':', ''),
-                    host: url.hostname,
-                    port: url.port || (url.protocol === 'https:' ? 443 : 80),
-                    path: url.pathname + url.search,
-                    method: "GET",
-                    url: url.href,
-                    source: data.url,
-                    category: category,
-                    comment: `Discovered by LazyEgg from ${data.url}`
-                  });
-                } catch (e) {
-                  // Skip invalid URLs
-                }
-              });
+  // Export endpoints as an OpenAPI 3 document: one path item per templated path, servers per base URL
+  async exportEndpointsAsOpenAPI() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, (endpoints) => {
+        const spec = {
+          openapi: '3.0.3',
+          info: {
+            title: 'LazyEgg discovered API',
+            version: new Date().toISOString().split('T')[0],
+            description: this.apiDescription
+          },
+          servers: [],
+          tags: [],
+          paths: {}
+        };
+        const servers = new Map();
+        const tags = new Set();
+        const operationIds = new Set();
+
+        this.requestBuilder.collectApiEndpoints(endpoints).forEach(({ parsed, requests, source, scriptUrl, category }) => {
+          if (!servers.has(parsed.server)) {
+            servers.set(parsed.server, this.buildOpenAPIServer(parsed, scriptUrl));
+          }
+          tags.add(source);
+
+          const pathItem = spec.paths[parsed.path] = spec.paths[parsed.path] || { servers: [] };
+          if (!pathItem.servers.some(server => server.url === parsed.server)) {
+            pathItem.servers.push({ url: parsed.server });
+          }
+
+          requests.forEach(request => {
+            const method = request.method.toLowerCase();
+            const existing = pathItem[method];
+            if (existing) {
+              if (!existing.tags.includes(source)) existing.tags.push(source);
+              this.mergeOpenAPIParameters(existing, this.buildOpenAPIParameters(parsed, request));
+              return;
             }
+            pathItem[method] = this.buildOpenAPIOperation(parsed, request, { source, category, operationIds });
+          });
+        });
+
+        spec.servers = [...servers.values()];
+        spec.tags = [...tags].sort().map(name => ({ name, description: `Found in ${name}` }));
+
+        // Path-level servers are only needed when endpoints span several base URLs
+        Object.values(spec.paths).forEach(pathItem => {
+          if (spec.servers.length <= 1) delete pathItem.servers;
+        });
+
+        resolve(JSON.stringify(spec, null, 2));
+      });
+    });
+  }
+
+  buildOpenAPIServer(parsed, sourceUrl) {
+    const server = { url: parsed.server };
+    if (parsed.serverVariables.length > 0) {
+      const origin = this.requestBuilder.getServerDefault(parsed, sourceUrl);
+      server.variables = Object.fromEntries(parsed.serverVariables.map(name => [
+        name, { default: origin, description: `Runtime value of ${name} in the script` }
+      ]));
+    }
+    return server;
+  }
+
+  buildOpenAPIOperation(parsed, request, { source, category, operationIds }) {
+    const operation = {
+      operationId: this.buildOperationId(request.method, parsed.path, operationIds),
+      summary: `${request.method} ${parsed.path}`,
+      tags: [source],
+      parameters: this.buildOpenAPIParameters(parsed, request),
+      responses: {
+        default: { description: 'Response not captured' }
+      },
+      'x-lazyegg': {
+        category,
+        source,
+        line: request.line,
+        column: request.column
+      }
+    };
+
+    if (request.body) {
+      operation.requestBody = {
+        content: {
+          [request.contentType]: { schema: this.buildBodySchema(request.body) }
+        }
+      };
+    }
+
+    return operation;
+  }
+
+  buildOpenAPIParameters(parsed, request) {
+    // OpenAPI ignores header parameters named Accept, Content-Type and Authorization
+    const reservedHeaders = ['accept', 'content-type', 'authorization'];
+    const stringSchema = { type: 'string' };
+
+    return [
+      ...parsed.pathParams.map(name => ({ name, in: 'path', required: true, schema: stringSchema })),
+      ...parsed.query.map(name => ({ name, in: 'query', schema: stringSchema })),
+      ...request.headers
+        .filter(name => !reservedHeaders.includes(name.toLowerCase()))
+        .map(name => ({ name, in: 'header', schema: stringSchema }))
+    ];
+  }
+
+  mergeOpenAPIParameters(operation, parameters) {
+    parameters.forEach(parameter => {
+      if (!operation.parameters.some(existing => existing.name === parameter.name && existing.in === parameter.in)) {
+        operation.parameters.push(parameter);
+      }
+    });
+  }
+
+  // "get" + "/users/{userId}/orders" -> getUsersUserIdOrders
+  buildOperationId(method, path, operationIds) {
+    const words = path.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const base = method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+
+    let operationId = base;
+    for (let index = 2; operationIds.has(operationId); index++) {
+      operationId = `${base}${index}`;
+    }
+    operationIds.add(operationId);
+    return operationId;
+  }
+
+  // JSON bodies keep their nesting, form bodies are flat string fields
+  buildBodySchema(body) {
+    if (body.type !== 'json') {
+      return {
+        type: 'object',
+        properties: Object.fromEntries(body.keys.map(key => [key, { type: 'string' }]))
+      };
+    }
+    return this.buildSchemaFromShape(this.requestBuilder.buildJsonShape(body.keys));
+  }
+
+  buildSchemaFromShape(shape) {
+    if (Array.isArray(shape)) {
+      return { type: 'array', items: this.buildSchemaFromShape(shape[0] || {}) };
+    }
+    if (shape && typeof shape === 'object') {
+      return {
+        type: 'object',
+        properties: Object.fromEntries(
+          Object.entries(shape).map(([key, value]) => [key, this.buildSchemaFromShape(value)])
+        )
+      };
+    }
+    return { type: 'string' };
+  }
+
+  // Postman v2.1 collection: host folder (with its own {{baseUrl}}) > source file folder > one request per method
+  async exportEndpointsAsPostman() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, (endpoints) => {
+        const { hosts, variables } = this.buildApiCollectionTree(this.requestBuilder.collectApiEndpoints(endpoints));
+
+        const collection = {
+          info: {
+            name: `LazyEgg discovered API (${new Date().toISOString().split('T')[0]})`,
+            description: this.apiDescription,
+            schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+          },
+          item: hosts.map(host => ({
+            name: host.name,
+            variable: [{ key: 'baseUrl', value: host.baseUrl, type: 'string', description: `Base URL for ${host.name}` }],
+            item: host.files.map(file => ({
+              name: file.name,
+              description: `Found in ${file.source}`,
+              item: file.requests.map(entry => this.buildPostmanRequest(entry))
+            }))
+          })),
+          variable: [...variables.values()].map(variable => ({
+            key: variable.name,
+            value: variable.value,
+            type: 'string',
+            description: variable.description
+          }))
+        };
+
+        resolve(JSON.stringify(collection, null, 2));
+      });
+    });
+  }
+
+  buildPostmanRequest({ parsed, request, headers, basePath, pathVariables, headerVariables, queryVariables }) {
+    // Postman path variables use ":name"
+    const path = basePath + parsed.path.replace(/\{([^{}]+)\}/g, ':$1');
+    const query = parsed.query.map(name => ({ key: name, value: queryVariables.get(name) || '' }));
+    const rawQuery = query.length ? `?${query.map(param => `${param.key}=${param.value}`).join('&')}` : '';
+
+    const item = {
+      name: `${request.method} ${parsed.path}`,
+      request: {
+        method: request.method,
+        header: headers.map(name => ({ key: name, value: headerVariables.get(name) })),
+        url: {
+          raw: `{{baseUrl}}${path}${rawQuery}`,
+          host: ['{{baseUrl}}'],
+          path: path.split('/').filter(Boolean),
+          query,
+          variable: pathVariables.map(name => ({ key: name, value: '' }))
+        }
+      }
+    };
+
+    if (request.body) {
+      item.request.header.push({ key: 'Content-Type', value: request.contentType });
+      item.request.body = this.buildPostmanBody(request.body);
+    }
+
+    return item;
+  }
+
+  buildPostmanBody(body) {
+    switch (body.type) {
+      case 'urlencoded':
+        return { mode: 'urlencoded', urlencoded: body.keys.map(key => ({ key, value: '' })) };
+      case 'multipart':
+        return { mode: 'formdata', formdata: body.keys.map(key => ({ key, value: '', type: 'text' })) };
+      default:
+        return {
+          mode: 'raw',
+          raw: JSON.stringify(this.requestBuilder.buildJsonShape(body.keys), null, 2),
+          options: { raw: { language: 'json' } }
+        };
+    }
+  }
+
+  // Insomnia v4 export: workspace, base environment with the shared variables and one sub-environment
+  // per host setting {{baseUrl}}, so switching environments switches the target; host and file request groups
+  async exportEndpointsAsInsomnia() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, (endpoints) => {
+        const { hosts, variables } = this.buildApiCollectionTree(this.requestBuilder.collectApiEndpoints(endpoints));
+        const now = Date.now();
+        let counter = 0;
+        const id = (prefix) => `${prefix}_lazyegg_${now.toString(36)}_${(counter++).toString(36)}`;
+
+        const workspaceId = id('wrk');
+        const environmentId = id('env');
+        const resources = [
+          {
+            _id: workspaceId,
+            _type: 'workspace',
+            parentId: null,
+            name: `LazyEgg discovered API (${new Date().toISOString().split('T')[0]})`,
+            description: this.apiDescription,
+            scope: 'collection'
+          },
+          {
+            _id: environmentId,
+            _type: 'environment',
+            parentId: workspaceId,
+            name: 'Base Environment',
+            data: Object.fromEntries([...variables.values()].map(variable => [variable.name, variable.value]))
+          },
+          ...hosts.map(host => ({
+            _id: id('env'),
+            _type: 'environment',
+            parentId: environmentId,
+            name: host.name,
+            data: { baseUrl: host.baseUrl }
+          }))
+        ];
+
+        hosts.forEach(host => {
+          const hostId = id('fld');
+          resources.push({ _id: hostId, _type: 'request_group', parentId: workspaceId, name: host.name });
+
+          host.files.forEach(file => {
+            const fileId = id('fld');
+            resources.push({
+              _id: fileId,
+              _type: 'request_group',
+              parentId: hostId,
+              name: file.name,
+              description: `Found in ${file.source}`
+            });
+
+            file.requests.forEach(entry => {
+              resources.push({ _id: id('req'), _type: 'request', parentId: fileId, ...this.buildInsomniaRequest(entry) });
+            });
           });
         });
 
-        resolve(JSON.stringify(burpData, null, 2));
+        resolve(JSON.stringify({
+          _type: 'export',
+          __export_format: 4,
+          __export_date: new Date().toISOString(),
+          __export_source: 'lazyegg',
+          resources
+        }, null, 2));
+      });
+    });
+  }
+
+  buildInsomniaRequest({ parsed, request, headers, basePath, headerVariables, queryVariables }) {
+    const variable = (name) => `{{ _.${name} }}`;
+    const toInsomnia = (value) => (value || '').replace(/\{\{([\w.-]+)\}\}/g, (match, name) => variable(name));
+
+    const item = {
+      name: `${request.method} ${parsed.path}`,
+      method: request.method,
+      // Path parameters become environment variables as Insomnia has no path variable syntax
+      url: `${variable('baseUrl')}${basePath}${parsed.path.replace(/\{([^{}]+)\}/g, (match, name) => variable(name))}`,
+      parameters: parsed.query.map(name => ({ name, value: toInsomnia(queryVariables.get(name)) })),
+      headers: headers.map(name => ({ name, value: toInsomnia(headerVariables.get(name)) })),
+      body: {}
+    };
+
+    if (request.body) {
+      item.headers.push({ name: 'Content-Type', value: request.contentType });
+      item.body = request.body.type === 'urlencoded' || request.body.type === 'multipart'
+        ? { mimeType: request.contentType, params: request.body.keys.map(key => ({ name: key, value: '' })) }
+        : { mimeType: request.contentType, text: JSON.stringify(this.requestBuilder.buildJsonShape(request.body.keys), null, 2) };
+    }
+
+    return item;
+  }
+
+  // Groups collected endpoints by host and source file. Each host has its own baseUrl (its origin); requests
+  // keep the rest of their server (axios baseURL path). Path parameters, header values and auth-like query
+  // parameters are shared variables
+  buildApiCollectionTree(collected) {
+    const variables = new Map();
+    const addVariable = (name, value, description) => {
+      if (!variables.has(name)) variables.set(name, { name, value, description });
+      return name;
+    };
+
+    const authPattern = /token|auth|key|secret|session|csrf|xsrf|jwt|bearer|signature/i;
+    const hosts = new Map();
+    const seen = new Set();
+
+    collected.forEach(({ parsed, requests, source, scriptUrl }) => {
+      const pathVariables = parsed.pathParams.map(name => addVariable(name, '', `Path parameter of ${parsed.path}`));
+      const queryVariables = new Map(parsed.query
+        .filter(name => authPattern.test(name))
+        .map(name => [name, `{{${addVariable(this.toVariableName(name), '', `Query parameter ${name}`)}}}`]));
+
+      const serverDefault = this.requestBuilder.getServerDefault(parsed, scriptUrl);
+      let hostName = parsed.server;
+      let baseUrl = serverDefault;
+      let basePath = '';
+      try {
+        const serverUrl = new URL(serverDefault);
+        hostName = serverUrl.host;
+        baseUrl = serverUrl.origin;
+        basePath = serverUrl.pathname.replace(/\/+$/, '');
+      } catch {
+        // Keep the server string as the folder name
+      }
+      if (!hosts.has(hostName)) hosts.set(hostName, { name: hostName, baseUrl, files: new Map() });
+      const files = hosts.get(hostName).files;
+      if (!files.has(source)) {
+        files.set(source, { name: source.split(/[/\\]/).filter(Boolean).pop() || source, source, requests: [] });
+      }
+
+      requests.forEach(request => {
+        const key = `${request.method} ${parsed.server}${parsed.path} ${source}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        // The body's own Content-Type replaces a discovered one
+        const headers = request.body
+          ? request.headers.filter(name => name.toLowerCase() !== 'content-type')
+          : request.headers;
+        const headerVariables = new Map(headers.map(name => {
+          const variableName = addVariable(this.toVariableName(name), '', `Value of the ${name} header`);
+          return [name, /^authorization$/i.test(name) ? `Bearer {{${variableName}}}` : `{{${variableName}}}`];
+        }));
+
+        files.get(source).requests.push({ parsed, request, headers, basePath, pathVariables, headerVariables, queryVariables });
       });
     });
+
+    return {
+      hosts: [...hosts.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(host => ({ name: host.name, baseUrl: host.baseUrl, files: [...host.files.values()] })),
+      variables
+    };
   }
 
-  // Export secrets in SARIF format for security tools
-  async exportSecretsAsSARIF() {
+  // "X-Api-Key" -> xApiKey, "https://api.x.com" -> api_x_com
+  toVariableName(value) {
+    const cleaned = value.replace(/^[a-z]+:\/\//i, '');
+    if (/^[\w-]+$/.test(cleaned) && cleaned.includes('-')) {
+      return cleaned.toLowerCase().replace(/-(\w)/g, (match, char) => char.toUpperCase());
+    }
+    return cleaned.replace(/[^\w]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  // Claims themselves stay out of SARIF, only what identifies the token and its issues
+  summarizeJwt(jwt) {
+    return {
+      algorithm: jwt.algorithm,
+      issuer: jwt.issuer,
+      audience: jwt.audience,
+      subject: jwt.subject,
+      issuedAt: jwt.issuedAt,
+      expiresAt: jwt.expiresAt,
+      sensitiveClaims: jwt.sensitiveClaims.map(claim => claim.path),
+      issues: jwt.issues.map(issue => ({ id: issue.id, severity: issue.severity, title: issue.title }))
+    };
+  }
+
+  // Export secrets in SARIF format for security tools (masked values unless includeUnmasked)
+  async exportSecretsAsSARIF(includeUnmasked = false) {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'getSecrets' }, (secrets) => {
+      chrome.runtime.sendMessage({ type: 'getSecrets', inScopeOnly: true, unmasked: includeUnmasked }, (secrets) => {
         const sarif = {
           version: "2.1.0",
           $schema: "https://schemastore.azurewebsites.net/schemas/json/sarif-2.1.0.json",
@@ -132,7 +531,10 @@ class LazyEggExporter {
             run.results.push({
               ruleId: secret.type.replace(/\s+/g, '_').toLowerCase(),
               ruleIndex: ruleMap.get(secret.type),
-              message: { text: `Detected ${secret.type}: ${secret.value}` },
+              message: {
+                text: `Detected ${secret.type}: ${secret.value}` +
+                  (secret.jwt?.issues.length ? ` (${secret.jwt.issues.map(issue => issue.title).join('; ')})` : '')
+              },
               locations: [{
                 physicalLocation: {
                   artifactLocation: { uri: data.url },
@@ -145,10 +547,17 @@ class LazyEggExporter {
               level: secret.severity === 'critical' ? 'error' : 
                      secret.severity === 'high' ? 'error' :
                      secret.severity === 'medium' ? 'warning' : 'note',
+              // SARIF rank is 0-100, higher means more likely a true positive
+              ...(secret.confidence !== undefined ? { rank: Math.round(secret.confidence * 100) } : {}),
               properties: {
                 severity: secret.severity,
                 category: secret.category,
-                masked_value: secret.value
+                masked_value: secret.value,
+                ...(secret.fullValue ? { value: secret.fullValue } : {}),
+                confidence: secret.confidence,
+                entropy: secret.entropy,
+                ...(secret.validation ? { validation: secret.validation } : {}),
+                ...(secret.jwt ? { jwt: this.summarizeJwt(secret.jwt) } : {})
               }
             });
           });
@@ -164,8 +573,8 @@ class LazyEggExporter {
     return new Promise((resolve) => {
       Promise.all([
         new Promise(res => chrome.runtime.sendMessage({ type: 'getStats' }, res)),
-        new Promise(res => chrome.runtime.sendMessage({ type: 'getEndpoints' }, res)),
-        new Promise(res => chrome.runtime.sendMessage({ type: 'getSecrets' }, res)),
+        new Promise(res => chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, res)),
+        new Promise(res => chrome.runtime.sendMessage({ type: 'getSecrets', inScopeOnly: true }, res)),
         new Promise(res => chrome.runtime.sendMessage({ type: 'getDomainData' }, res)),
         new Promise(res => chrome.runtime.sendMessage({ type: 'getSnapshots' }, res))
       ]).then(([stats, endpoints, secrets, domainData, snapshots]) => {
@@ -353,18 +762,38 @@ class LazyEggExporter {
     
     switch (format) {
       case 'burp':
-        content = await this.exportEndpointsForBurp();
-        filename = `lazy-egg-endpoints-burp-${Date.now()}.json`;
-        mimeType = 'application/json';
+        content = await this.exportEndpointsForBurp('burp');
+        filename = `lazy-egg-endpoints-burp-${Date.now()}.xml`;
+        mimeType = 'application/xml';
+        break;
+      case 'burp-urls':
+        content = await this.exportEndpointsForBurp('burp-urls');
+        filename = `lazy-egg-endpoints-burp-urls-${Date.now()}.txt`;
+        mimeType = 'text/plain';
         break;
       case 'linkfinder':
         content = await this.exportEndpointsForLinkFinder();
         filename = `lazy-egg-endpoints-linkfinder-${Date.now()}.json`;
         mimeType = 'application/json';
         break;
+      case 'openapi':
+        content = await this.exportEndpointsAsOpenAPI();
+        filename = `lazy-egg-endpoints-openapi-${Date.now()}.json`;
+        mimeType = 'application/json';
+        break;
+      case 'postman':
+        content = await this.exportEndpointsAsPostman();
+        filename = `lazy-egg-endpoints-postman-${Date.now()}.json`;
+        mimeType = 'application/json';
+        break;
+      case 'insomnia':
+        content = await this.exportEndpointsAsInsomnia();
+        filename = `lazy-egg-endpoints-insomnia-${Date.now()}.json`;
+        mimeType = 'application/json';
+        break;
       default:
         content = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: 'getEndpoints' }, resolve);
+          chrome.runtime.sendMessage({ type: 'getEndpoints', inScopeOnly: true }, resolve);
         });
         content = JSON.stringify(content, null, 2);
         filename = `lazy-egg-endpoints-${Date.now()}.json`;
@@ -375,19 +804,19 @@ class LazyEggExporter {
     return filename;
   }
 
-  // Export secrets in specified format  
-  async exportSecrets(format = 'json') {
+  // Export secrets in specified format; full values only when includeUnmasked is set
+  async exportSecrets(format = 'json', { includeUnmasked = false } = {}) {
     let content, filename, mimeType;
     
     switch (format) {
       case 'sarif':
-        content = await this.exportSecretsAsSARIF();
+        content = await this.exportSecretsAsSARIF(includeUnmasked);
         filename = `lazy-egg-secrets-sarif-${Date.now()}.json`;
         mimeType = 'application/json';
         break;
       default:
         content = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: 'getSecrets' }, resolve);
+          chrome.runtime.sendMessage({ type: 'getSecrets', inScopeOnly: true, unmasked: includeUnmasked }, resolve);
         });
         content = JSON.stringify(content, null, 2);
         filename = `lazy-egg-secrets-${Date.now()}.json`;
@@ -0,0 +1,416 @@
+// GraphQL Extractor - full operations, fragments, persisted query ids and endpoint URLs from scripts
+class GraphQLExtractor {
+  constructor() {
+    this.maxDocumentLength = 100000;
+
+    this.patterns = {
+      // String and template literal contents (documents are usually embedded as strings)
+      string: /"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'|`((?:[^`\\]|\\.)*)`/g,
+      keyword: /\b(?:query|mutation|subscription|fragment)\b\s*[_A-Za-z({@]/,
+      definition: /\b(query|mutation|subscription|fragment)\b/g,
+      spread: /\.\.\.\s*(?!on\b)([_A-Za-z]\w*)/g,
+      variable: /\$(\w+)\s*:\s*([[\]\w!]+)(?:\s*=\s*((?:"[^"]*"|[^,$)])+))?/g,
+
+      // Apollo automatic persisted queries: extensions.persistedQuery.sha256Hash
+      apolloHash: /sha256Hash["']?\s*:\s*["']([a-fA-F0-9]{64})["']/g,
+      operationName: /operationName["']?\s*:\s*["'](\w+)["']/g,
+      // Persisted query manifests: { "<hash>": "query Name { ... }" }
+      manifestEntry: /["']([a-fA-F0-9]{32,64})["']\s*:\s*["'`]\s*(?:query|mutation|subscription)\s+(\w+)/g,
+      // Relay compiled artifacts: params: { id: "<hash>", name: "UserQuery", operationKind: "query" }
+      relayParams: /\bid\s*:\s*["']([a-fA-F0-9]{32,64})["']\s*,\s*(?:metadata\s*:\s*\{[^}]*\}\s*,\s*)?name\s*:\s*["'](\w+)["']\s*,\s*operationKind\s*:\s*["'](\w+)["']/g,
+
+      // "/graphql", "https://api.example.com/graphql/v2"
+      endpoint: /["'`]((?:(?:https?|wss?):)?\/\/[^"'`\s]*?\/graphql[^"'`\s]*|\/[^"'`\s]*graphql[^"'`\s]*)["'`]/gi,
+      // new HttpLink({ uri }), new ApolloClient({ uri }), createClient({ url }), new GraphQLClient(url)
+      clientConfig: /\b(?:HttpLink|createHttpLink|BatchHttpLink|createUploadLink|ApolloClient|createClient|GraphQLWsLink)\s*\(\s*\{/g,
+      clientUri: /\b(?:uri|url)\s*:\s*["'`]([^"'`\s]+)["'`]/,
+      graphqlClient: /\bnew\s+GraphQLClient\s*\(\s*["'`]([^"'`\s]+)["'`]/g
+    };
+  }
+
+  createResult() {
+    return { operations: [], fragments: [], persistedQueries: [], endpoints: [] };
+  }
+
+  extract(content) {
+    const result = this.createResult();
+    const seen = new Set();
+
+    let match;
+    while ((match = this.patterns.string.exec(content)) !== null) {
+      const raw = match[1] ?? match[2] ?? match[3];
+      if (raw.length > this.maxDocumentLength || !this.patterns.keyword.test(raw)) continue;
+
+      // Template interpolations are fragment references (`${UserFields}`), their spreads stay in the text
+      const text = this.unescape(match[3] !== undefined ? raw.replace(/\$\{[^}]*\}/g, '') : raw);
+      this.parseDocument(text).forEach(definition => {
+        const key = `${definition.type}:${definition.name}:${this.normalize(definition.document)}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        (definition.type === 'fragment' ? result.fragments : result.operations).push(definition);
+      });
+    }
+    this.patterns.string.lastIndex = 0;
+
+    result.persistedQueries = this.extractPersistedQueries(content);
+    result.endpoints = this.extractEndpoints(content);
+
+    // Link persisted ids to operations with the same name
+    result.persistedQueries.forEach(persisted => {
+      const operation = result.operations.find(op => op.name && op.name === persisted.operationName);
+      if (operation && !operation.persistedQuery) {
+        operation.persistedQuery = { type: persisted.type, hash: persisted.hash };
+      }
+    });
+
+    return result;
+  }
+
+  // Every top-level definition in a GraphQL document string
+  parseDocument(text) {
+    const definitions = [];
+    const pattern = new RegExp(this.patterns.definition.source, 'g');
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const definition = this.parseDefinition(text, match.index, match[1]);
+      if (definition) {
+        definitions.push(definition);
+        pattern.lastIndex = definition.end;
+      }
+    }
+
+    return definitions.map(({ end, ...definition }) => definition);
+  }
+
+  // `query Name($id: ID!) @directive { ... }` / `fragment Name on Type { ... }`
+  parseDefinition(text, start, type) {
+    let position = start + type.length;
+    const rest = () => text.slice(position);
+
+    const name = rest().match(/^\s*([_A-Za-z]\w*)/);
+    if (name && name[1] !== 'on') position += name[0].length;
+    const operationName = name && name[1] !== 'on' ? name[1] : null;
+
+    let onType = null;
+    let variables = [];
+
+    if (type === 'fragment') {
+      const condition = rest().match(/^\s+on\s+([_A-Za-z]\w*)/);
+      if (!operationName || !condition) return null;
+      onType = condition[1];
+      position += condition[0].length;
+    } else {
+      const open = rest().match(/^\s*\(/);
+      if (open) {
+        const close = this.findClosing(text, position + open[0].length - 1, '(', ')');
+        if (close === -1) return null;
+        variables = this.parseVariables(text.slice(position + open[0].length, close));
+        position = close + 1;
+      }
+    }
+
+    // Directives: @include(if: $x), @cached
+    let directive;
+    while ((directive = rest().match(/^\s*@\w+/))) {
+      position += directive[0].length;
+      const args = rest().match(/^\s*\(/);
+      if (args) {
+        const close = this.findClosing(text, position + args[0].length - 1, '(', ')');
+        if (close === -1) return null;
+        position = close + 1;
+      }
+    }
+
+    const selection = rest().match(/^\s*\{/);
+    if (!selection) return null;
+
+    const end = this.findClosing(text, position + selection[0].length - 1, '{', '}');
+    if (end === -1) return null;
+
+    const document = text.slice(start, end + 1).trim();
+    if (!/[_A-Za-z]/.test(text.slice(position + selection[0].length, end))) return null;
+
+    const definition = {
+      type,
+      name: operationName,
+      document,
+      fragmentSpreads: this.findSpreads(document),
+      end: end + 1
+    };
+    if (type === 'fragment') {
+      definition.on = onType;
+    } else {
+      definition.variables = variables;
+    }
+    return definition;
+  }
+
+  parseVariables(source) {
+    const variables = [];
+    const pattern = new RegExp(this.patterns.variable.source, 'g');
+
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const variable = { name: match[1], type: match[2] };
+      if (match[3] !== undefined) variable.defaultValue = match[3].trim();
+      variables.push(variable);
+    }
+    return variables;
+  }
+
+  findSpreads(document) {
+    const spreads = new Set();
+    const pattern = new RegExp(this.patterns.spread.source, 'g');
+
+    let match;
+    while ((match = pattern.exec(document)) !== null) {
+      spreads.add(match[1]);
+    }
+    return [...spreads];
+  }
+
+  // Matching close bracket, skipping GraphQL string values
+  findClosing(text, start, open, close) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === open) {
+        depth++;
+      } else if (char === close) {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  extractPersistedQueries(content) {
+    const persisted = [];
+    const seen = new Set();
+    const add = (entry) => {
+      if (seen.has(entry.hash)) return;
+      seen.add(entry.hash);
+      persisted.push(entry);
+    };
+
+    let match;
+    const apolloHash = new RegExp(this.patterns.apolloHash.source, 'g');
+    while ((match = apolloHash.exec(content)) !== null) {
+      // operationName usually sits next to the extensions object
+      const nearby = content.slice(Math.max(0, match.index - 400), match.index + 400);
+      const names = [...nearby.matchAll(this.patterns.operationName)];
+      add({ type: 'apollo', hash: match[1].toLowerCase(), operationName: names.length ? names[names.length - 1][1] : null });
+    }
+
+    const manifestEntry = new RegExp(this.patterns.manifestEntry.source, 'g');
+    while ((match = manifestEntry.exec(content)) !== null) {
+      add({ type: match[1].length === 64 ? 'apollo' : 'manifest', hash: match[1].toLowerCase(), operationName: match[2] });
+    }
+
+    const relayParams = new RegExp(this.patterns.relayParams.source, 'g');
+    while ((match = relayParams.exec(content)) !== null) {
+      add({ type: 'relay', hash: match[1].toLowerCase(), operationName: match[2], operationKind: match[3] });
+    }
+
+    return persisted;
+  }
+
+  extractEndpoints(content) {
+    const endpoints = new Set();
+
+    let match;
+    const endpoint = new RegExp(this.patterns.endpoint.source, 'gi');
+    while ((match = endpoint.exec(content)) !== null) {
+      endpoints.add(match[1]);
+    }
+
+    const clientConfig = new RegExp(this.patterns.clientConfig.source, 'g');
+    while ((match = clientConfig.exec(content)) !== null) {
+      const uri = content.slice(match.index, match.index + 500).match(this.patterns.clientUri);
+      if (uri) endpoints.add(uri[1]);
+    }
+
+    const graphqlClient = new RegExp(this.patterns.graphqlClient.source, 'g');
+    while ((match = graphqlClient.exec(content)) !== null) {
+      endpoints.add(match[1]);
+    }
+
+    return [...endpoints].filter(url => url.length > 1 && url.length < 2000);
+  }
+
+  // JS string escapes (minified bundles keep newlines as "\n")
+  unescape(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (escape, code) => {
+      if (code[0] === 'u' && code.length === 5) return String.fromCharCode(parseInt(code.slice(1), 16));
+      if (code[0] === 'x' && code.length === 3) return String.fromCharCode(parseInt(code.slice(1), 16));
+      return { n: '\n', r: '\r', t: '\t' }[code] ?? code;
+    });
+  }
+
+  normalize(document) {
+    return document.replace(/\s+/g, ' ').replace(/\s*([{}():,!=@$[\]])\s*/g, '$1').trim();
+  }
+
+  isEmpty(result) {
+    return !result || (result.operations.length === 0 && result.fragments.length === 0 &&
+      result.persistedQueries.length === 0 && result.endpoints.length === 0);
+  }
+
+  // Combine results from several files (source map originals)
+  merge(target, source) {
+    const merged = target || this.createResult();
+    if (!source) return merged;
+
+    const keyOf = {
+      operations: definition => `${definition.type}:${definition.name}:${this.normalize(definition.document)}`,
+      fragments: definition => `${definition.name}:${this.normalize(definition.document)}`,
+      persistedQueries: persisted => persisted.hash,
+      endpoints: url => url
+    };
+
+    Object.entries(keyOf).forEach(([list, key]) => {
+      const known = new Set(merged[list].map(key));
+      (source[list] || []).forEach(item => {
+        if (!known.has(key(item))) {
+          known.add(key(item));
+          merged[list].push(item);
+        }
+      });
+    });
+
+    return merged;
+  }
+
+  // `.graphql` collection and client-ready request list from stored endpoint entries
+  buildCollection(endpoints) {
+    const operations = [];
+    const fragments = new Map();
+    const persistedOnly = [];
+    const allEndpoints = [];
+
+    Object.values(endpoints).forEach(entry => {
+      const graphql = entry.endpoints?.graphqlOperations;
+      if (!graphql) return;
+
+      const scriptEndpoints = (graphql.endpoints || [])
+        .map(url => this.resolveUrl(url, entry.url))
+        .filter(Boolean);
+      allEndpoints.push(...scriptEndpoints);
+
+      graphql.fragments.forEach(fragment => {
+        if (!fragments.has(fragment.name)) fragments.set(fragment.name, fragment);
+      });
+      graphql.operations.forEach(operation => {
+        operations.push({ ...operation, endpoint: scriptEndpoints[0] || null, source: entry.url });
+      });
+
+      const named = new Set(graphql.operations.map(operation => operation.name));
+      graphql.persistedQueries.forEach(persisted => {
+        if (!named.has(persisted.operationName)) {
+          persistedOnly.push({ ...persisted, endpoint: scriptEndpoints[0] || null, source: entry.url });
+        }
+      });
+    });
+
+    // Deduplicate operations found in several scripts
+    const unique = new Map();
+    operations.forEach(operation => {
+      const key = `${operation.type}:${operation.name}:${this.normalize(operation.document)}`;
+      if (!unique.has(key)) unique.set(key, operation);
+    });
+
+    const fallbackEndpoint = allEndpoints[0] || null;
+    const requests = [...unique.values()].map(operation => {
+      const request = {
+        operationName: operation.name,
+        type: operation.type,
+        endpoint: operation.endpoint || fallbackEndpoint,
+        query: [operation.document, ...this.resolveFragments(operation, fragments).map(f => f.document)].join('\n\n'),
+        variables: this.buildVariables(operation.variables || []),
+        source: operation.source
+      };
+      if (operation.persistedQuery?.type === 'apollo') {
+        request.extensions = { persistedQuery: { version: 1, sha256Hash: operation.persistedQuery.hash } };
+      }
+      return request;
+    });
+
+    persistedOnly.forEach(persisted => {
+      requests.push({
+        operationName: persisted.operationName,
+        type: persisted.operationKind || null,
+        endpoint: persisted.endpoint || fallbackEndpoint,
+        query: null,
+        variables: {},
+        source: persisted.source,
+        ...(persisted.type === 'apollo'
+          ? { extensions: { persistedQuery: { version: 1, sha256Hash: persisted.hash } } }
+          : { documentId: persisted.hash })
+      });
+    });
+
+    return {
+      document: this.buildDocument([...unique.values()], [...fragments.values()]),
+      requests
+    };
+  }
+
+  buildDocument(operations, fragments) {
+    const sections = operations.map(operation => {
+      const header = [`# Source: ${operation.source}`];
+      if (operation.endpoint) header.push(`# Endpoint: ${operation.endpoint}`);
+      if (operation.persistedQuery) header.push(`# Persisted query (${operation.persistedQuery.type}): ${operation.persistedQuery.hash}`);
+      return `${header.join('\n')}\n${operation.document}`;
+    });
+
+    fragments.forEach(fragment => sections.push(fragment.document));
+    return sections.join('\n\n') + '\n';
+  }
+
+  // Fragments an operation needs, including fragments used by fragments
+  resolveFragments(operation, fragments) {
+    const resolved = new Map();
+    const queue = [...operation.fragmentSpreads];
+
+    while (queue.length > 0) {
+      const name = queue.shift();
+      const fragment = fragments.get(name);
+      if (!fragment || resolved.has(name)) continue;
+      resolved.set(name, fragment);
+      queue.push(...fragment.fragmentSpreads);
+    }
+
+    return [...resolved.values()];
+  }
+
+  // Placeholder values by type so clients can send the operation as-is
+  buildVariables(variables) {
+    const samples = { Int: 0, Float: 0, Boolean: false, String: '', ID: '' };
+    return Object.fromEntries(variables.map(variable => {
+      if (variable.type.startsWith('[')) return [variable.name, []];
+      return [variable.name, samples[variable.type.replace(/!$/, '')] ?? null];
+    }));
+  }
+
+  resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl || undefined).href;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GraphQLExtractor;
+} else if (typeof window !== 'undefined') {
+  window.GraphQLExtractor = GraphQLExtractor;
+}
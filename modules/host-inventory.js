@@ -0,0 +1,132 @@
+// Host Inventory - hostnames referenced anywhere in analyzed scripts, grouped by registrable domain
+class HostInventory {
+  constructor() {
+    this.maxHostsPerScript = 1000;
+    this.maxSourcesPerHost = 10;
+
+    // Bare hostnames in strings need a real-looking TLD; file extensions like .js/.md/.py are left out
+    this.knownTlds = new Set([
+      'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'io', 'co', 'ai', 'app', 'dev', 'cloud',
+      'tech', 'info', 'biz', 'me', 'tv', 'cc', 'gg', 'ly', 'xyz', 'site', 'online', 'store', 'shop',
+      'live', 'page', 'link', 'network', 'services', 'systems', 'digital', 'agency', 'company',
+      'email', 'design', 'media', 'games', 'blog', 'us', 'uk', 'ca', 'au', 'de', 'fr', 'nl', 'eu',
+      'jp', 'cn', 'in', 'br', 'ru', 'es', 'it', 'se', 'no', 'fi', 'dk', 'ch', 'at', 'be', 'cz',
+      'sk', 'hu', 'ro', 'gr', 'pt', 'ie', 'nz', 'za', 'mx', 'ar', 'cl', 'kr', 'tw', 'hk', 'sg',
+      'il', 'tr', 'ua', 'vn', 'id', 'my', 'ph', 'th', 'ae', 'sa', 'ng', 'ke', 'eg', 'lt', 'lv', 'ee'
+    ]);
+
+    // XML namespaces and schema hosts show up in nearly every bundle
+    this.ignoredHosts = new Set([
+      'www.w3.org', 'w3.org', 'purl.org', 'xmlns.com', 'ns.adobe.com',
+      'schemas.microsoft.com', 'schemas.openxmlformats.org', 'schemas.xmlsoap.org'
+    ]);
+
+    this.patterns = {
+      // https://api.example.com, wss://rt.example.com, //cdn.example.com
+      url: /(?:\b[a-z][a-z0-9+.-]*:)?\/\/(?:[^\s/@"'`]+@)?(\*\.)?([a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+)/gi,
+      // String literal contents: CSP source lists, CORS allowlists, config values
+      string: /"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'|`((?:[^`\\]|\\.)*)`/g,
+      token: /^(?:[a-z][a-z0-9+.-]*:\/\/)?(\*\.)?([a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+)\.?(?::(?:\d{1,5}|\*))?(?:\/\S*)?$/i
+    };
+  }
+
+  // All hostnames mentioned in a script body
+  extractHosts(content) {
+    const hosts = new Set();
+    const add = (host, requireKnownTld) => {
+      if (hosts.size >= this.maxHostsPerScript) return;
+      const normalized = this.normalizeHost(host, requireKnownTld);
+      if (normalized) hosts.add(normalized);
+    };
+
+    let match;
+    while ((match = this.patterns.url.exec(content)) !== null) {
+      // Protocol-relative matches can be comments or regex fragments
+      add(match[2], !/^[a-z]/i.test(match[0]));
+    }
+    this.patterns.url.lastIndex = 0;
+
+    while ((match = this.patterns.string.exec(content)) !== null) {
+      const value = match[1] ?? match[2] ?? match[3];
+      if (value.length < 4 || value.length > 2000) continue;
+
+      value.split(/[\s,;|]+/).forEach(token => {
+        const host = token.match(this.patterns.token);
+        if (host) add(host[2], !token.includes('://'));
+      });
+    }
+    this.patterns.string.lastIndex = 0;
+
+    return [...hosts];
+  }
+
+  normalizeHost(host, requireKnownTld = false) {
+    const hostname = host.toLowerCase().replace(/\.$/, '');
+    const labels = hostname.split('.');
+    const tld = labels[labels.length - 1];
+
+    if (this.ignoredHosts.has(hostname) || hostname.length > 253) return null;
+
+    // IPv4 addresses only count in URLs, bare ones are usually version strings
+    if (labels.every(label => /^\d+$/.test(label))) {
+      return !requireKnownTld && labels.length === 4 && labels.every(label => Number(label) <= 255) ? hostname : null;
+    }
+
+    if (!/^[a-z]{2,63}$/.test(tld)) return null;
+    if (requireKnownTld && !this.knownTlds.has(tld)) return null;
+
+    return hostname;
+  }
+
+  // Merge hosts found in one script into the stored inventory
+  mergeHosts(inventory = {}, hosts, { sourceUrl, scopeRules, categorizer }) {
+    const merged = { ...inventory };
+    const now = new Date().toISOString();
+
+    hosts.forEach(hostname => {
+      const domain = ScopeRules.getRegistrableDomain(hostname);
+      const group = merged[domain] ? { ...merged[domain], hosts: { ...merged[domain].hosts } } : { domain, hosts: {} };
+      const existing = group.hosts[hostname];
+
+      const sources = existing ? existing.sources : [];
+      group.hosts[hostname] = {
+        host: hostname,
+        inScope: scopeRules.isInScope(`https://${hostname}/`),
+        categories: categorizer.identifyCategories(hostname),
+        firstSeen: existing?.firstSeen || now,
+        lastSeen: now,
+        count: (existing?.count || 0) + 1,
+        sources: sources.includes(sourceUrl) || sources.length >= this.maxSourcesPerHost
+          ? sources
+          : [...sources, sourceUrl]
+      };
+
+      merged[domain] = group;
+    });
+
+    return merged;
+  }
+
+  // Flat, sorted hostname list; scope is re-evaluated against the current rules
+  toHostList(inventory = {}, scopeRules = null, inScopeOnly = true) {
+    const hosts = [];
+
+    Object.keys(inventory).sort().forEach(domain => {
+      Object.keys(inventory[domain].hosts || {}).sort().forEach(hostname => {
+        const inScope = scopeRules
+          ? scopeRules.isInScope(`https://${hostname}/`)
+          : inventory[domain].hosts[hostname].inScope;
+        if (!inScopeOnly || inScope) hosts.push(hostname);
+      });
+    });
+
+    return hosts;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HostInventory;
+} else if (typeof window !== 'undefined') {
+  window.HostInventory = HostInventory;
+}
@@ -0,0 +1,350 @@
+// Persistent Job Queue for background script fetching and analysis
+class AnalysisJobQueue {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'jobQueue';
+    this.alarmName = options.alarmName || 'lazyEggJobQueue';
+    this.handler = options.handler || (async () => {});
+    this.onProgress = options.onProgress || (() => {});
+
+    // Limits
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.maxPerHost = options.maxPerHost || 2;
+    this.maxRetries = options.maxRetries || 3;
+    this.baseBackoffMs = options.baseBackoffMs || 5000;
+    this.maxFinishedJobs = options.maxFinishedJobs || 500;
+
+    this.jobs = [];
+    this.running = new Map();
+    this.retryTimer = null;
+    this.ready = this.load();
+  }
+
+  // Restore jobs persisted before the worker was suspended
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      this.jobs = result[this.storageKey] || [];
+
+      // Jobs that were running when the worker died are started again
+      this.jobs.forEach(job => {
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.nextAttemptAt = 0;
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load job queue:', error);
+      this.jobs = [];
+    }
+  }
+
+  async save() {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: this.jobs });
+    } catch (error) {
+      console.error('Failed to save job queue:', error);
+    }
+  }
+
+  // Add jobs for URLs that are not already waiting or running
+  async enqueue(urls, type = 'analyze', data = {}) {
+    await this.ready;
+
+    const active = new Set(
+      this.jobs.filter(job => this.isActive(job)).map(job => this.getJobKey(job.type, job.url, job.data))
+    );
+
+    const now = Date.now();
+    let added = 0;
+
+    urls.forEach(url => {
+      const key = this.getJobKey(type, url, data);
+      if (active.has(key)) return;
+      active.add(key);
+
+      this.jobs.push({
+        id: `${now.toString(36)}_${Math.random().toString(36).substr(2, 9)}`,
+        type,
+        url,
+        data,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: 0,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+      });
+      added++;
+    });
+
+    if (added > 0) {
+      this.prune();
+      await this.save();
+      this.emitProgress();
+      this.pump();
+    }
+
+    return added;
+  }
+
+  // Start as many runnable jobs as the concurrency limits allow
+  async pump() {
+    await this.ready;
+
+    const now = Date.now();
+    let nextRetryAt = Infinity;
+
+    for (const job of this.jobs) {
+      if (job.status !== 'queued') continue;
+
+      if (job.nextAttemptAt > now) {
+        nextRetryAt = Math.min(nextRetryAt, job.nextAttemptAt);
+        continue;
+      }
+
+      if (this.running.size >= this.maxConcurrent) break;
+
+      const host = this.getHost(job.url);
+      if (this.countRunningForHost(host) >= this.maxPerHost) continue;
+
+      this.runJob(job, host);
+    }
+
+    this.scheduleRetry(nextRetryAt);
+    await this.updateAlarm();
+  }
+
+  async runJob(job, host) {
+    const controller = new AbortController();
+    this.running.set(job.id, { controller, host });
+
+    job.status = 'running';
+    job.attempts++;
+    job.updatedAt = Date.now();
+    await this.save();
+    this.emitProgress();
+
+    try {
+      await this.handler(job, controller.signal);
+      if (job.status !== 'cancelled') {
+        job.status = 'done';
+        job.error = null;
+      }
+    } catch (error) {
+      job.error = error.message || String(error);
+
+      if (controller.signal.aborted || job.status === 'cancelled') {
+        job.status = 'cancelled';
+      } else if (error.retryable !== false && job.attempts < this.maxRetries) {
+        // Exponential backoff with a little jitter
+        const delay = this.baseBackoffMs * Math.pow(2, job.attempts - 1);
+        job.status = 'queued';
+        job.nextAttemptAt = Date.now() + delay + Math.floor(Math.random() * 1000);
+      } else {
+        job.status = 'failed';
+      }
+    } finally {
+      this.running.delete(job.id);
+      job.updatedAt = Date.now();
+      await this.save();
+      this.emitProgress();
+      this.pump();
+    }
+  }
+
+  // Cancel the given jobs, or every waiting and running job
+  async cancel(jobIds = null) {
+    await this.ready;
+
+    const ids = jobIds ? new Set(jobIds) : null;
+    let cancelled = 0;
+
+    this.jobs.forEach(job => {
+      if (!this.isActive(job)) return;
+      if (ids && !ids.has(job.id)) return;
+
+      job.status = 'cancelled';
+      job.updatedAt = Date.now();
+      cancelled++;
+
+      const running = this.running.get(job.id);
+      if (running) {
+        running.controller.abort();
+      }
+    });
+
+    await this.save();
+    this.emitProgress();
+    await this.updateAlarm();
+
+    return cancelled;
+  }
+
+  // Cancel waiting and running jobs whose data has the given values, e.g. { workspaceId }
+  async cancelWhere(data) {
+    await this.ready;
+
+    const jobIds = this.jobs
+      .filter(job => this.isActive(job) && Object.entries(data).every(([key, value]) => job.data?.[key] === value))
+      .map(job => job.id);
+    return jobIds.length > 0 ? this.cancel(jobIds) : 0;
+  }
+
+  // Put failed jobs back in the queue
+  async retryFailed() {
+    await this.ready;
+
+    let retried = 0;
+    this.jobs.forEach(job => {
+      if (job.status === 'failed') {
+        job.status = 'queued';
+        job.attempts = 0;
+        job.nextAttemptAt = 0;
+        job.updatedAt = Date.now();
+        retried++;
+      }
+    });
+
+    if (retried > 0) {
+      await this.save();
+      this.emitProgress();
+      this.pump();
+    }
+
+    return retried;
+  }
+
+  // Remove finished jobs
+  async clearFinished() {
+    await this.ready;
+    this.jobs = this.jobs.filter(job => this.isActive(job));
+    await this.save();
+    this.emitProgress();
+  }
+
+  // Keep the worker waking up while there is work left
+  async updateAlarm() {
+    if (typeof chrome === 'undefined' || !chrome.alarms) return;
+
+    try {
+      if (this.jobs.some(job => this.isActive(job))) {
+        chrome.alarms.create(this.alarmName, { periodInMinutes: 0.5 });
+      } else {
+        await chrome.alarms.clear(this.alarmName);
+      }
+    } catch (error) {
+      console.warn('Failed to update job queue alarm:', error);
+    }
+  }
+
+  // Wake up for backoff retries while the worker is still alive
+  scheduleRetry(nextRetryAt) {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    if (nextRetryAt !== Infinity) {
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.pump();
+      }, Math.max(0, nextRetryAt - Date.now()));
+    }
+  }
+
+  // Handle a chrome.alarms event
+  handleAlarm(alarm) {
+    if (alarm.name === this.alarmName) {
+      this.pump();
+      return true;
+    }
+    return false;
+  }
+
+  // Drop the oldest finished jobs beyond the retention limit
+  prune() {
+    const finished = this.jobs.filter(job => !this.isActive(job));
+    if (finished.length <= this.maxFinishedJobs) return;
+
+    const toRemove = new Set(
+      finished
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .slice(0, finished.length - this.maxFinishedJobs)
+        .map(job => job.id)
+    );
+
+    this.jobs = this.jobs.filter(job => !toRemove.has(job.id));
+  }
+
+  getProgress() {
+    const progress = {
+      total: this.jobs.length,
+      queued: 0,
+      retrying: 0,
+      running: 0,
+      done: 0,
+      failed: 0,
+      cancelled: 0,
+      active: [],
+      // URL and last error of jobs that ran out of retries
+      failures: [],
+      updatedAt: Date.now()
+    };
+
+    this.jobs.forEach(job => {
+      if (job.status === 'queued' && job.attempts > 0) {
+        progress.retrying++;
+      } else if (progress[job.status] !== undefined) {
+        progress[job.status]++;
+      }
+
+      if (job.status === 'running') {
+        progress.active.push(job.url);
+      } else if (job.status === 'failed') {
+        progress.failures.push({ url: job.url, error: job.error });
+      }
+    });
+
+    return progress;
+  }
+
+  emitProgress() {
+    try {
+      this.onProgress(this.getProgress());
+    } catch (error) {
+      console.warn('Job progress listener failed:', error);
+    }
+  }
+
+  // Same URL with different job data (e.g. workspace) is a separate job
+  getJobKey(type, url, data) {
+    return `${type}:${url}:${JSON.stringify(data || {})}`;
+  }
+
+  isActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  countRunningForHost(host) {
+    let count = 0;
+    for (const running of this.running.values()) {
+      if (running.host === host) count++;
+    }
+    return count;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnalysisJobQueue;
+} else if (typeof window !== 'undefined') {
+  window.AnalysisJobQueue = AnalysisJobQueue;
+}
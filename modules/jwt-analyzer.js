@@ -0,0 +1,238 @@
+// JWT Analyzer - decodes detected JWTs (without verifying them) and flags risky headers and claims
+class JwtAnalyzer {
+  constructor() {
+    // HMAC secrets from tutorials, defaults and jwt.io; a token that verifies with one is forgeable
+    this.weakSecrets = [
+      'secret', 'secretkey', 'secret_key', 'secret-key', 'your-256-bit-secret', 'your-secret-key', 'your_secret_key',
+      'jwt_secret', 'jwtsecret', 'jwt-secret', 'mysecret', 'my_secret', 'my-secret', 'supersecret', 'super-secret',
+      's3cr3t', 'shhhhh', 'keyboard cat', 'changeme', 'change_me', 'password', 'passw0rd', '123456', '12345678',
+      'qwerty', 'admin', 'test', 'testing', 'default', 'development', 'key', 'private', 'token', 'HS256'
+    ];
+
+    // Tokens valid for longer than this are flagged
+    this.maxLifetimeSeconds = 365 * 24 * 60 * 60;
+
+    this.sensitiveClaimPatterns = {
+      role: /^(?:roles?|groups?|scopes?|scp|permissions?|perms|authorities|entitlements|is_?admin|admin|is_?staff|superuser|access_level)$/i,
+      internalId: /(?:^|_)(?:user|account|tenant|org|organization|customer|employee|internal|company)_?(?:id|uuid|number|no)$|^(?:uid|oid|tid|internal_?id)$/i,
+      personal: /^(?:email|e_?mail|upn|unique_name|preferred_username|phone(?:_number)?|name|given_name|family_name|address|birthdate|ssn)$/i
+    };
+  }
+
+  // Header and payload of a compact JWS; throws when the token doesn't decode
+  decode(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new Error('JWT must have three parts');
+    }
+
+    return {
+      header: JSON.parse(this.decodeBase64Url(parts[0])),
+      payload: JSON.parse(this.decodeBase64Url(parts[1])),
+      signature: parts[2]
+    };
+  }
+
+  decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+    const binary = atob(base64);
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  }
+
+  // Decoded token plus issues; null for strings that only look like a JWT
+  async analyze(token) {
+    let decoded;
+    try {
+      decoded = this.decode(token);
+    } catch {
+      return null;
+    }
+
+    const { header, payload, signature } = decoded;
+    const claims = payload && typeof payload === 'object' ? payload : {};
+    const algorithm = String(header.alg || '');
+    const issues = [];
+
+    if (!algorithm || algorithm.toLowerCase() === 'none') {
+      issues.push({
+        id: 'alg-none',
+        severity: 'high',
+        title: 'Unsigned token (alg: none)',
+        description: 'Servers that accept this token accept any claims'
+      });
+    } else if (!signature) {
+      issues.push({
+        id: 'missing-signature',
+        severity: 'medium',
+        title: 'Empty signature',
+        description: `Header says ${algorithm} but the token has no signature`
+      });
+    }
+
+    if (/^HS(256|384|512)$/.test(algorithm) && signature) {
+      const weakSecret = await this.findWeakSecret(token, algorithm);
+      if (weakSecret !== null) {
+        issues.push({
+          id: 'weak-secret',
+          severity: 'critical',
+          title: `${algorithm} signed with a weak secret`,
+          // The key itself is a credential, it's only kept in `secret` (sealed with the finding when the vault is on)
+          description: 'The signature verifies with a well-known secret, tokens with any claims can be forged',
+          secret: weakSecret
+        });
+      } else {
+        issues.push({
+          id: 'symmetric-algorithm',
+          severity: 'low',
+          title: `Symmetric algorithm (${algorithm})`,
+          description: 'The signing secret can be brute-forced offline from this token'
+        });
+      }
+    }
+
+    if (header.jku || header.x5u) {
+      issues.push({
+        id: 'remote-key',
+        severity: 'medium',
+        title: 'Key URL in header',
+        description: `Verifiers that follow ${header.jku ? 'jku' : 'x5u'} can be pointed at an attacker's key`
+      });
+    }
+
+    issues.push(...this.checkLifetime(claims));
+
+    const sensitiveClaims = this.findSensitiveClaims(claims);
+    if (sensitiveClaims.length > 0) {
+      issues.push({
+        id: 'sensitive-claims',
+        severity: 'low',
+        title: 'Sensitive claims',
+        description: `Readable by anyone holding the token: ${sensitiveClaims.map(claim => claim.path).join(', ')}`
+      });
+    }
+
+    return {
+      header,
+      claims,
+      algorithm,
+      issuer: typeof claims.iss === 'string' ? claims.iss : null,
+      audience: claims.aud === undefined ? [] : [].concat(claims.aud).map(String),
+      subject: claims.sub === undefined ? null : String(claims.sub),
+      issuedAt: this.toDate(claims.iat),
+      expiresAt: this.toDate(claims.exp),
+      sensitiveClaims,
+      issues
+    };
+  }
+
+  checkLifetime(claims, now = Date.now() / 1000) {
+    if (typeof claims.exp !== 'number') {
+      return [{
+        id: 'no-expiry',
+        severity: 'medium',
+        title: 'No expiry (exp)',
+        description: 'The token stays valid until the signing key is rotated'
+      }];
+    }
+
+    const issuedAt = typeof claims.iat === 'number' ? claims.iat : now;
+    if (claims.exp - issuedAt > this.maxLifetimeSeconds) {
+      const years = Math.round((claims.exp - issuedAt) / this.maxLifetimeSeconds * 10) / 10;
+      return [{
+        id: 'long-lived',
+        severity: 'medium',
+        title: 'Far-future expiry',
+        description: `Valid for ${years} year(s), until ${this.toDate(claims.exp)}`
+      }];
+    }
+
+    if (claims.exp < now) {
+      return [{
+        id: 'expired',
+        severity: 'low',
+        title: 'Expired',
+        description: `Expired ${this.toDate(claims.exp)}`
+      }];
+    }
+
+    return [];
+  }
+
+  // Claim paths holding roles, internal identifiers or personal data (emails anywhere in the payload)
+  findSensitiveClaims(claims, prefix = '') {
+    const found = [];
+
+    Object.entries(claims).forEach(([name, value]) => {
+      const path = prefix ? `${prefix}.${name}` : name;
+      const kind = Object.keys(this.sensitiveClaimPatterns).find(key => this.sensitiveClaimPatterns[key].test(name));
+
+      if (kind) {
+        found.push({ path, kind });
+      } else if (typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value)) {
+        found.push({ path, kind: 'personal' });
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        found.push(...this.findSensitiveClaims(value, path));
+      }
+    });
+
+    return found;
+  }
+
+  async findWeakSecret(token, algorithm) {
+    const [header, payload, signature] = token.split('.');
+    const data = new TextEncoder().encode(`${header}.${payload}`);
+    const hash = `SHA-${algorithm.slice(2)}`;
+
+    for (const secret of this.weakSecrets) {
+      const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash }, false, ['sign']
+      );
+      const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, data));
+      if (this.encodeBase64Url(mac) === signature) {
+        return secret;
+      }
+    }
+    return null;
+  }
+
+  encodeBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  toDate(seconds) {
+    return typeof seconds === 'number' && Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : null;
+  }
+
+  // Attach `jwt` to JWT findings; a critical or high issue raises the finding's severity
+  async annotateFindings(secrets) {
+    const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+
+    for (const secret of secrets) {
+      if (secret.category !== 'jwt' || secret.jwt || !secret.fullValue) continue;
+
+      const analysis = await this.analyze(secret.fullValue);
+      if (!analysis) continue;
+
+      secret.jwt = analysis;
+      analysis.issues
+        .filter(issue => issue.severity === 'critical' || issue.severity === 'high')
+        .forEach(issue => {
+          if (severityOrder[issue.severity] < severityOrder[secret.severity]) {
+            secret.severity = issue.severity;
+          }
+        });
+    }
+    return secrets;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JwtAnalyzer;
+} else if (typeof window !== 'undefined') {
+  window.JwtAnalyzer = JwtAnalyzer;
+}
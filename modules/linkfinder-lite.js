@@ -1,6 +1,11 @@
 // LinkFinder Lite - JavaScript endpoint extraction engine
 class LinkFinderLite {
-  constructor() {
+  constructor(options = {}) {
+    // 'ast' parses scripts (falls back to regex when parsing fails), 'regex' is pattern-only
+    this.mode = options.mode || 'regex';
+    this.astExtractor = typeof AstEndpointExtractor !== 'undefined' ? new AstEndpointExtractor() : null;
+    this.graphqlExtractor = typeof GraphQLExtractor !== 'undefined' ? new GraphQLExtractor() : null;
+
     // Comprehensive regex patterns for endpoint detection
     this.patterns = {
       // Basic URL patterns
@@ -40,11 +45,8 @@ class LinkFinderLite {
         /\/api\/[a-zA-Z0-9\-._~:/?#[\]@!$&'()*+,;=%]*/g,
       ],
       
-      // GraphQL patterns
+      // GraphQL endpoints (full operations come from GraphQLExtractor)
       graphql: [
-        /query\s+\w+\s*\{[^}]+\}/g,
-        /mutation\s+\w+\s*\{[^}]+\}/g,
-        /subscription\s+\w+\s*\{[^}]+\}/g,
         /["'`]\/graphql["'`]/g,
       ],
       
@@ -75,7 +77,7 @@ class LinkFinderLite {
   }
 
   // Main extraction method
-  extractFromJavaScript(jsContent, sourceUrl = '') {
+  extractFromJavaScript(jsContent, sourceUrl = '', mode = this.mode) {
     const results = {
       endpoints: [],
       urls: [],
@@ -88,17 +90,44 @@ class LinkFinderLite {
         sourceUrl,
         extractedAt: new Date().toISOString(),
         contentLength: jsContent.length,
-        patterns: Object.keys(this.patterns).length
+        patterns: Object.keys(this.patterns).length,
+        mode: 'regex'
       }
     };
 
-    // Clean and prepare content
-    const cleanContent = this.cleanJavaScript(jsContent);
-    
-    // Extract different types of endpoints
-    for (const [category, patterns] of Object.entries(this.patterns)) {
-      const extracted = this.extractByPatterns(cleanContent, patterns);
-      results[category] = this.deduplicateAndClean(extracted);
+    const astResults = mode === 'ast' && this.astExtractor?.isAvailable()
+      ? this.astExtractor.extract(jsContent)
+      : null;
+
+    if (astResults) {
+      for (const category of Object.keys(this.patterns)) {
+        results[category] = this.deduplicateAndClean(astResults[category] || []);
+      }
+      // Method, base URL and position per endpoint (an object, so category loops skip it)
+      results.endpointDetails = astResults.details;
+      results.metadata.mode = 'ast';
+    } else {
+      // Clean and prepare content
+      const cleanContent = this.cleanJavaScript(jsContent);
+
+      // Extract different types of endpoints
+      for (const [category, patterns] of Object.entries(this.patterns)) {
+        const extracted = this.extractByPatterns(cleanContent, patterns);
+        results[category] = this.deduplicateAndClean(extracted);
+      }
+    }
+
+    // Full GraphQL operations, variables, persisted query ids and endpoints
+    const graphql = this.graphqlExtractor?.extract(jsContent);
+    if (graphql && !this.graphqlExtractor.isEmpty(graphql)) {
+      const isDocument = /^\s*(query|mutation|subscription|fragment)\b/;
+      results.graphql = this.deduplicateAndClean([
+        ...results.graphql.filter(value => !isDocument.test(value)),
+        ...graphql.operations.map(operation => operation.document),
+        ...graphql.endpoints
+      ]);
+      // An object, so category loops skip it
+      results.graphqlOperations = graphql;
     }
 
     // Store results
@@ -192,7 +221,8 @@ class LinkFinderLite {
       dataAttributes: [],
       actionUrls: [],
       srcUrls: [],
-      hrefUrls: []
+      hrefUrls: [],
+      formFields: []
     };
 
     // Extract from data attributes
@@ -209,6 +239,12 @@ class LinkFinderLite {
       if (action) results.actionUrls.push(action);
     });
 
+    // Extract form field names (parameter candidates)
+    document.querySelectorAll('form [name]').forEach(field => {
+      const name = field.getAttribute('name');
+      if (name && !results.formFields.includes(name)) results.formFields.push(name);
+    });
+
     // Extract from script src
     document.querySelectorAll('script[src]').forEach(script => {
       results.srcUrls.push(script.src);
@@ -276,12 +312,17 @@ class LinkFinderLite {
       for (const [category, categoryEndpoints] of Object.entries(fileData)) {
         if (Array.isArray(categoryEndpoints)) {
           categoryEndpoints.forEach(endpoint => {
-            endpoints.push({
-              url: endpoint,
-              method: 'GET',
-              source: file,
-              category: category,
-              type: 'endpoint'
+            const detail = fileData.endpointDetails?.[endpoint];
+            (detail?.methods?.length ? detail.methods : ['GET']).forEach(method => {
+              endpoints.push({
+                url: endpoint,
+                method,
+                headers: detail?.headers || [],
+                body: detail?.body || null,
+                source: file,
+                category: category,
+                type: 'endpoint'
+              });
             });
           });
         }
@@ -304,7 +345,8 @@ class LinkFinderLite {
         if (Array.isArray(endpoints) && endpoints.length > 0) {
           output += `\n${category.toUpperCase()}:\n`;
           endpoints.forEach(endpoint => {
-            output += `  ${endpoint}\n`;
+            const methods = fileData.endpointDetails?.[endpoint]?.methods;
+            output += methods?.length ? `  [${methods.join(', ')}] ${endpoint}\n` : `  ${endpoint}\n`;
           });
         }
       }
@@ -315,14 +357,15 @@ class LinkFinderLite {
 
   // Export as CSV
   exportAsCSV(data) {
-    let csv = 'Source File,Category,Endpoint,Extracted At\n';
+    let csv = 'Source File,Category,Endpoint,Methods,Extracted At\n';
     
     for (const [file, fileData] of Object.entries(data.byFile)) {
       for (const [category, endpoints] of Object.entries(fileData)) {
         if (Array.isArray(endpoints)) {
           endpoints.forEach(endpoint => {
             const extractedAt = fileData.metadata?.extractedAt || '';
-            csv += `"${file}","${category}","${endpoint}","${extractedAt}"\n`;
+            const methods = (fileData.endpointDetails?.[endpoint]?.methods || ['GET']).join(' ');
+            csv += `"${file}","${category}","${endpoint}","${methods}","${extractedAt}"\n`;
           });
         }
       }
@@ -0,0 +1,188 @@
+// Parameter Harvester - builds content discovery wordlists from extracted endpoints, scripts and forms
+class ParamHarvester {
+  constructor() {
+    this.lists = ['paths', 'params', 'subdomains'];
+    this.maxWordsPerList = 20000;
+
+    this.scriptPatterns = {
+      params: [
+        // "?page=1&sort=asc" inside string literals
+        /[?&]([A-Za-z_$][\w.$[\]-]{0,63})=/g,
+        // url.searchParams.get("q"), params.append('page', ...)
+        /(?:searchParams|[pP]arams|URLSearchParams\([^)]*\))\.(?:get|getAll|has|set|append)\(\s*["'`]([A-Za-z_$][\w.$[\]-]{0,63})["'`]/g
+      ],
+      hosts: [
+        /(?:https?|wss?):\/\/([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+)/gi
+      ]
+    };
+  }
+
+  createHarvest() {
+    return { paths: new Set(), params: new Set(), subdomains: new Set() };
+  }
+
+  // Words from LinkFinder-Lite output (categories plus endpointDetails)
+  harvestEndpoints(endpointResults, baseUrl, harvest = this.createHarvest()) {
+    if (!endpointResults) return harvest;
+
+    Object.values(endpointResults).forEach(values => {
+      if (Array.isArray(values)) {
+        values.forEach(value => this.harvestUrl(value, baseUrl, harvest));
+      }
+    });
+
+    Object.values(endpointResults.endpointDetails || {}).forEach(detail => {
+      (detail.query || []).forEach(name => this.addParam(name, harvest));
+      (detail.body?.keys || []).forEach(key => {
+        // "user.address.city" -> user, address, city
+        key.split('.').forEach(part => this.addParam(part.replace(/\[\]$/, ''), harvest));
+      });
+    });
+
+    return harvest;
+  }
+
+  // Words found directly in a script body
+  harvestScript(content, scriptUrl, harvest = this.createHarvest()) {
+    this.harvestUrl(scriptUrl, scriptUrl, harvest);
+
+    this.scriptPatterns.params.forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        this.addParam(match[1], harvest);
+      }
+      pattern.lastIndex = 0;
+    });
+
+    this.scriptPatterns.hosts.forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        this.addSubdomains(match[1], harvest);
+      }
+      pattern.lastIndex = 0;
+    });
+
+    return harvest;
+  }
+
+  // Form field names and form actions from LinkFinderLite.extractFromDOM()
+  harvestDom(domResults, pageUrl, harvest = this.createHarvest()) {
+    if (!domResults) return harvest;
+
+    this.harvestUrl(pageUrl, pageUrl, harvest);
+    (domResults.formFields || []).forEach(name => this.addParam(name, harvest));
+    [...(domResults.actionUrls || []), ...(domResults.dataAttributes || []), ...(domResults.hrefUrls || [])]
+      .forEach(url => this.harvestUrl(url, pageUrl, harvest));
+
+    return harvest;
+  }
+
+  harvestUrl(value, baseUrl, harvest) {
+    if (typeof value !== 'string' || /\s/.test(value)) return;
+
+    let url;
+    try {
+      // Placeholders from AST extraction ("{id}") aren't valid URL characters
+      url = new URL(value.replace(/\{[^}]*\}/g, '__placeholder__'), baseUrl || undefined);
+    } catch {
+      return;
+    }
+    if (!/^(https?|wss?):$/.test(url.protocol)) return;
+
+    this.addSubdomains(url.hostname, harvest);
+
+    url.pathname.split('/').forEach(segment => this.addPath(segment, harvest));
+    url.searchParams.forEach((paramValue, name) => this.addParam(name, harvest));
+  }
+
+  addPath(segment, harvest) {
+    let word;
+    try {
+      word = decodeURIComponent(segment);
+    } catch {
+      word = segment;
+    }
+
+    if (!word || word.length > 64 || word.includes('__placeholder__')) return;
+    // Skip ids, hashes and UUIDs - they don't generalize to other targets
+    if (/^\d+$/.test(word) || /^[a-f0-9]{16,}$/i.test(word) ||
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(word)) {
+      return;
+    }
+    // Bundler content hashes: main.3f2a9c1b.chunk.js
+    if (/\.[a-f0-9]{8,}\./i.test(word)) return;
+
+    harvest.paths.add(word);
+  }
+
+  addParam(name, harvest) {
+    if (typeof name === 'string' && /^[A-Za-z_$][\w.$[\]-]{0,63}$/.test(name) && name !== '__placeholder__') {
+      harvest.params.add(name);
+    }
+  }
+
+  // "api.dev.example.com" -> api, dev, api.dev
+  addSubdomains(hostname, harvest) {
+    const labels = hostname.toLowerCase().split('.');
+    if (labels.length < 3 || labels.every(label => /^\d+$/.test(label))) return;
+
+    const domainLabels = ScopeRules.getRegistrableDomain(hostname).split('.').length;
+    const subdomainLabels = labels.slice(0, labels.length - domainLabels);
+
+    subdomainLabels.forEach(label => {
+      if (label && label !== 'www') harvest.subdomains.add(label);
+    });
+    if (subdomainLabels.length > 1) {
+      harvest.subdomains.add(subdomainLabels.join('.'));
+    }
+  }
+
+  // Add one harvest to the stored counts; each source counts once per word
+  mergeCounts(counts = {}, harvest) {
+    const merged = { ...counts };
+
+    this.lists.forEach(list => {
+      const listCounts = { ...(merged[list] || {}) };
+      harvest[list].forEach(word => {
+        listCounts[word] = (listCounts[word] || 0) + 1;
+      });
+      merged[list] = this.trimCounts(listCounts);
+    });
+
+    merged.updatedAt = new Date().toISOString();
+    return merged;
+  }
+
+  // Keep the most frequent words when a list grows past the limit
+  trimCounts(listCounts) {
+    const entries = Object.entries(listCounts);
+    if (entries.length <= this.maxWordsPerList) return listCounts;
+
+    return Object.fromEntries(
+      entries.sort(([, a], [, b]) => b - a).slice(0, this.maxWordsPerList)
+    );
+  }
+
+  // Word lists sorted by frequency, ready for ffuf (-w) and Arjun (-w)
+  toWordlists(counts = {}, minCount = 1) {
+    const wordlists = {};
+    this.lists.forEach(list => {
+      wordlists[list] = Object.entries(counts[list] || {})
+        .filter(([, count]) => count >= minCount)
+        .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+        .map(([word, count]) => ({ word, count }));
+    });
+    return wordlists;
+  }
+
+  isEmpty(harvest) {
+    return this.lists.every(list => harvest[list].size === 0);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ParamHarvester;
+} else if (typeof window !== 'undefined') {
+  window.ParamHarvester = ParamHarvester;
+}
@@ -0,0 +1,415 @@
+// Scope Rules Engine - in-scope/out-of-scope matching for bug bounty targets
+//
+// Rule syntax (one per line, "!" prefix marks a rule as out of scope in text imports):
+//   target.com                exact host
+//   *.target.com              any subdomain of target.com
+//   api.target.com:8443       host with port ("*" for any port)
+//   https://target.com/api/   scheme, host and path prefix
+//   target.com/admin          host and path prefix
+//   /^https:\/\/.*\.corp\//i  regular expression against the full URL (also "regex:...")
+//   10.0.0.0/8, 192.0.2.10    IPv4/IPv6 addresses and CIDR ranges
+//   keyword:gtag              plain substring of the URL
+class ScopeRules {
+  constructor(scope = {}) {
+    this.inScope = this.compileRules(scope.inScope || []);
+    this.outOfScope = this.compileRules(scope.outOfScope || []);
+
+    // Asset types from program scope exports that are not web targets
+    this.ignoredAssetTypes = /app|source|hardware|executable|binary|android|ios|mobile|other/i;
+  }
+
+  compileRules(rules) {
+    return rules
+      .map(rule => this.parseRule(rule))
+      .filter(Boolean);
+  }
+
+  // Parse a single textual rule into a matcher description
+  parseRule(raw) {
+    const text = (raw || '').trim();
+    if (!text || text.startsWith('#')) return null;
+
+    try {
+      // Regular expressions
+      const regexLiteral = text.match(/^\/(.+)\/([imsu]*)$/);
+      if (regexLiteral) {
+        return { type: 'regex', source: text, regex: new RegExp(regexLiteral[1], regexLiteral[2]) };
+      }
+      if (/^regex:/i.test(text)) {
+        return { type: 'regex', source: text, regex: new RegExp(text.slice(6).trim(), 'i') };
+      }
+
+      // Substring match (legacy exclude patterns)
+      if (/^keyword:/i.test(text)) {
+        return { type: 'keyword', source: text, keyword: text.slice(8).trim().toLowerCase() };
+      }
+
+      // IP addresses and CIDR ranges
+      const ipRule = this.parseIpRule(text);
+      if (ipRule) return ipRule;
+
+      if (/\s/.test(text)) {
+        return { type: 'invalid', source: text, error: 'Unexpected whitespace' };
+      }
+
+      // Host rules with optional scheme, port and path prefix
+      const match = text.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/:?#\s]+)(?::(\d+|\*))?(\/[^?#\s]*)?/i);
+      if (!match) return { type: 'invalid', source: text, error: 'Unrecognized rule' };
+
+      const [, scheme, hostPattern, port, path] = match;
+      const host = hostPattern.toLowerCase().replace(/\.$/, '');
+
+      if (!/^[a-z0-9*_.-]+$/.test(host) || (!host.includes('.') && host !== 'localhost')) {
+        return { type: 'invalid', source: text, error: 'Invalid host' };
+      }
+
+      const rule = {
+        type: 'host',
+        source: text,
+        scheme: scheme ? scheme.toLowerCase() : null,
+        host,
+        port: port || null,
+        pathPrefix: path && path !== '/' ? path.replace(/\*+$/, '') : null
+      };
+
+      if (host.startsWith('*.') && !host.slice(2).includes('*')) {
+        rule.suffix = host.slice(1);
+      } else if (host.includes('*')) {
+        // Wildcards inside labels, e.g. api-*.target.com
+        const escaped = host.split('*').map(part => this.escapeRegex(part)).join('[a-z0-9.-]*');
+        rule.hostRegex = new RegExp(`^${escaped}$`);
+      }
+
+      return rule;
+    } catch (error) {
+      return { type: 'invalid', source: text, error: error.message };
+    }
+  }
+
+  parseIpRule(text) {
+    const [address, prefix] = text.split('/');
+
+    const ipv4 = this.parseIPv4(address);
+    if (ipv4 !== null) {
+      const bits = prefix === undefined ? 32 : parseInt(prefix, 10);
+      if (isNaN(bits) || bits < 0 || bits > 32) return null;
+      return { type: 'ip', source: text, version: 4, network: this.maskAddress(ipv4, bits, 32), bits };
+    }
+
+    const ipv6 = this.parseIPv6(address);
+    if (ipv6 !== null) {
+      const bits = prefix === undefined ? 128 : parseInt(prefix, 10);
+      if (isNaN(bits) || bits < 0 || bits > 128) return null;
+      return { type: 'ip', source: text, version: 6, network: this.maskAddress(ipv6, bits, 128), bits };
+    }
+
+    return null;
+  }
+
+  parseIPv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && +part <= 255)) {
+      return null;
+    }
+    return parts.reduce((value, part) => (value << 8n) + BigInt(part), 0n);
+  }
+
+  parseIPv6(address) {
+    const clean = address.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!clean.includes(':') || !/^[0-9a-f:]+$/.test(clean)) return null;
+
+    const halves = clean.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if ((halves.length === 1 && missing !== 0) || missing < 0) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+
+    return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+  }
+
+  maskAddress(value, bits, width) {
+    if (bits === 0) return 0n;
+    const mask = ((1n << BigInt(bits)) - 1n) << BigInt(width - bits);
+    return value & mask;
+  }
+
+  // Check a URL (relative URLs are resolved against baseUrl)
+  evaluate(url, baseUrl = undefined) {
+    let urlObj;
+    try {
+      urlObj = new URL(url, baseUrl);
+    } catch {
+      return { inScope: false, reason: 'Invalid URL', rule: null };
+    }
+
+    const outRule = this.outOfScope.find(rule => this.matchRule(rule, urlObj));
+    if (outRule) {
+      return { inScope: false, reason: 'Matches out-of-scope rule', rule: outRule.source };
+    }
+
+    // No in-scope rules means everything not excluded is in scope
+    if (this.inScope.length === 0) {
+      return { inScope: true, reason: 'No in-scope rules defined', rule: null };
+    }
+
+    const inRule = this.inScope.find(rule => this.matchRule(rule, urlObj));
+    if (inRule) {
+      return { inScope: true, reason: 'Matches in-scope rule', rule: inRule.source };
+    }
+
+    return { inScope: false, reason: 'No in-scope rule matches', rule: null };
+  }
+
+  isInScope(url, baseUrl = undefined) {
+    return this.evaluate(url, baseUrl).inScope;
+  }
+
+  matchRule(rule, urlObj) {
+    const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    switch (rule.type) {
+      case 'regex':
+        return rule.regex.test(urlObj.href);
+      case 'keyword':
+        return urlObj.href.toLowerCase().includes(rule.keyword);
+      case 'ip':
+        return this.matchIp(rule, hostname);
+      case 'host':
+        return this.matchHost(rule, urlObj, hostname);
+      default:
+        return false;
+    }
+  }
+
+  matchIp(rule, hostname) {
+    const address = rule.version === 4 ? this.parseIPv4(hostname) : this.parseIPv6(hostname);
+    if (address === null) return false;
+    return this.maskAddress(address, rule.bits, rule.version === 4 ? 32 : 128) === rule.network;
+  }
+
+  matchHost(rule, urlObj, hostname) {
+    if (rule.scheme && `${rule.scheme}:` !== urlObj.protocol) {
+      return false;
+    }
+
+    if (rule.suffix) {
+      if (!hostname.endsWith(rule.suffix)) return false;
+    } else if (rule.hostRegex) {
+      if (!rule.hostRegex.test(hostname)) return false;
+    } else if (hostname !== rule.host) {
+      return false;
+    }
+
+    if (rule.port && rule.port !== '*') {
+      if (this.getEffectivePort(urlObj) !== rule.port) return false;
+    }
+
+    if (rule.pathPrefix && !urlObj.pathname.startsWith(rule.pathPrefix)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  getEffectivePort(urlObj) {
+    if (urlObj.port) return urlObj.port;
+    const defaults = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' };
+    return defaults[urlObj.protocol] || '';
+  }
+
+  // Rules that failed to parse, for settings validation
+  getInvalidRules() {
+    return [...this.inScope, ...this.outOfScope].filter(rule => rule.type === 'invalid');
+  }
+
+  // Import a pasted or uploaded scope list (HackerOne/Bugcrowd JSON or CSV, or plain text)
+  parseImport(content) {
+    const scope = { inScope: [], outOfScope: [] };
+    const text = (content || '').trim();
+    if (!text) return scope;
+
+    if (text.startsWith('{') || text.startsWith('[')) {
+      this.importJson(JSON.parse(text), scope);
+    } else if (/^[^\n]*identifier[^\n]*,/i.test(text)) {
+      this.importCsv(text, scope);
+    } else {
+      this.importText(text, scope);
+    }
+
+    scope.inScope = [...new Set(scope.inScope)];
+    scope.outOfScope = [...new Set(scope.outOfScope)];
+    return scope;
+  }
+
+  importJson(data, scope) {
+    if (Array.isArray(data)) {
+      data.forEach(item => {
+        if (typeof item === 'string') {
+          this.addImportedTarget(scope, item, true);
+        } else {
+          this.importJson(item, scope);
+        }
+      });
+      return;
+    }
+
+    if (!data || typeof data !== 'object') return;
+
+    // bounty-targets-data style: { targets: { in_scope: [...], out_of_scope: [...] } }
+    const targets = data.targets && !Array.isArray(data.targets) ? data.targets : data;
+    if (Array.isArray(targets.in_scope) || Array.isArray(targets.out_of_scope)) {
+      (targets.in_scope || []).forEach(item => this.importAsset(item, scope, true));
+      (targets.out_of_scope || []).forEach(item => this.importAsset(item, scope, false));
+      return;
+    }
+
+    // Bugcrowd target groups: { target_groups: [{ in_scope, targets: [...] }] }
+    if (Array.isArray(data.target_groups)) {
+      data.target_groups.forEach(group => {
+        (group.targets || []).forEach(item => this.importAsset(item, scope, group.in_scope !== false));
+      });
+      return;
+    }
+
+    // HackerOne API: { data: [{ attributes: {...} }] } or structured_scopes relationship
+    const structured = data.relationships?.structured_scopes?.data || data.data;
+    if (Array.isArray(structured)) {
+      structured.forEach(item => {
+        const attributes = item.attributes || item;
+        this.importAsset(attributes, scope, attributes.eligible_for_submission !== false);
+      });
+      return;
+    }
+
+    if (data.attributes || data.asset_identifier || data.target || data.uri) {
+      this.importAsset(data.attributes || data, scope, true);
+    }
+  }
+
+  importAsset(asset, scope, inScope) {
+    if (typeof asset === 'string') {
+      this.addImportedTarget(scope, asset, inScope);
+      return;
+    }
+
+    const type = asset.asset_type || asset.type || asset.category || '';
+    if (type && this.ignoredAssetTypes.test(type) && !/url|wildcard|cidr|ip|api|website/i.test(type)) {
+      return;
+    }
+
+    const identifier = asset.asset_identifier || asset.target || asset.uri || asset.endpoint || asset.name;
+    if (identifier) {
+      this.addImportedTarget(scope, identifier, inScope);
+    }
+  }
+
+  importCsv(text, scope) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim());
+    const header = this.parseCsvLine(rows.shift()).map(col => col.toLowerCase());
+
+    const identifierIndex = header.findIndex(col => col === 'identifier' || col === 'asset_identifier');
+    const typeIndex = header.findIndex(col => col === 'asset_type' || col === 'type');
+    const eligibleIndex = header.findIndex(col => col === 'eligible_for_submission');
+    if (identifierIndex === -1) return;
+
+    rows.forEach(row => {
+      const cols = this.parseCsvLine(row);
+      this.importAsset({
+        asset_identifier: cols[identifierIndex],
+        asset_type: typeIndex !== -1 ? cols[typeIndex] : ''
+      }, scope, eligibleIndex === -1 || !/^false$/i.test(cols[eligibleIndex] || ''));
+    });
+  }
+
+  parseCsvLine(line) {
+    const cols = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        cols.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cols.push(current.trim());
+    return cols;
+  }
+
+  importText(text, scope) {
+    let inScope = true;
+
+    text.split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      // Section headings as copied from program pages
+      if (/^out[\s-]*of[\s-]*scope:?$/i.test(trimmed)) {
+        inScope = false;
+        return;
+      }
+      if (/^in[\s-]*scope:?$/i.test(trimmed)) {
+        inScope = true;
+        return;
+      }
+
+      if (/^[!-]\s*/.test(trimmed) && !/^-{2,}/.test(trimmed)) {
+        this.addImportedTarget(scope, trimmed.replace(/^[!-]\s*/, ''), false);
+      } else {
+        this.addImportedTarget(scope, trimmed, inScope);
+      }
+    });
+  }
+
+  addImportedTarget(scope, identifier, inScope) {
+    const value = String(identifier).trim();
+
+    // Identifiers are sometimes comma separated lists
+    const parts = /^(\/|regex:)/i.test(value) ? [value] : value.split(/\s*,\s*/);
+    parts.forEach(part => {
+      const rule = part.trim();
+      if (!rule) return;
+
+      const parsed = this.parseRule(rule);
+      if (!parsed || parsed.type === 'invalid') return;
+
+      (inScope ? scope.inScope : scope.outOfScope).push(rule);
+    });
+  }
+
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // "api.dev.example.co.uk" -> "example.co.uk"; shared by the wordlist harvester and the host inventory
+  static getRegistrableDomain(hostname) {
+    const labels = hostname.toLowerCase().split('.');
+    if (labels.every(label => /^\d+$/.test(label))) return hostname;
+
+    // Second-level labels that are part of the registrable domain (example.co.uk)
+    const secondLevelLabels = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or', 'go'];
+    const domainLabels = labels.length > 2 && labels[labels.length - 1].length === 2 &&
+      secondLevelLabels.includes(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-domainLabels).join('.');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScopeRules;
+} else if (typeof window !== 'undefined') {
+  window.ScopeRules = ScopeRules;
+}
@@ -0,0 +1,553 @@
+// Secret Rules - user-defined secret detection rules, validation and rule packs (gitleaks TOML, native JSON)
+class SecretRuleManager {
+  constructor(detector = new SecretDetector()) {
+    this.detector = detector;
+    this.storageKey = 'secretRules';
+    this.packFormat = 'lazyegg-secret-rules';
+    this.packVersion = 1;
+    this.severities = ['critical', 'high', 'medium', 'low'];
+    // gitleaks rules carry no severity
+    this.defaultSeverity = 'medium';
+
+    // Go RE2 POSIX classes -> JS class contents
+    this.posixClasses = {
+      alnum: 'a-zA-Z0-9',
+      alpha: 'a-zA-Z',
+      digit: '0-9',
+      xdigit: '0-9a-fA-F',
+      lower: 'a-z',
+      upper: 'A-Z',
+      space: '\\s',
+      word: '\\w',
+      punct: '!-\\/:-@\\[-`{-~'
+    };
+  }
+
+  // Stored state is global, the team's rules apply to every workspace
+  async load() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const state = result[this.storageKey] || {};
+    return {
+      rules: (state.rules || []).map(rule => this.normalizeRule(rule)),
+      disabled: state.disabled || [],
+      disabledPacks: state.disabledPacks || []
+    };
+  }
+
+  async save(state) {
+    await chrome.storage.local.set({
+      [this.storageKey]: { rules: state.rules, disabled: state.disabled, disabledPacks: state.disabledPacks || [] }
+    });
+  }
+
+  // Built-in rule packs with their rules, listed so either can be turned off
+  getBuiltinPacks() {
+    const rules = this.getBuiltinRules();
+    return Object.values(this.detector.packs).map(pack => ({
+      ...pack,
+      rules: rules.filter(rule => rule.category === pack.id)
+    }));
+  }
+
+  // Built-in detector rules, listed so they can be turned off
+  getBuiltinRules() {
+    const rules = [];
+    for (const [category, patterns] of Object.entries(this.detector.patterns)) {
+      const entries = patterns.pattern ? [[null, patterns]] : Object.entries(patterns);
+      entries.forEach(([name, patternData]) => {
+        rules.push({
+          id: name ? `${category}.${name}` : category,
+          name: patternData.name,
+          severity: patternData.severity || 'medium',
+          category
+        });
+      });
+    }
+    return rules;
+  }
+
+  normalizeRule(input = {}) {
+    const list = value => (Array.isArray(value) ? value : [])
+      .map(item => String(item).trim())
+      .filter(item => item.length > 0);
+    const allowlist = input.allowlist || {};
+    const minEntropy = parseFloat(input.minEntropy);
+    const secretGroup = parseInt(input.secretGroup, 10);
+
+    return {
+      id: String(input.id || '').trim(),
+      name: String(input.name || input.description || input.id || '').trim(),
+      description: String(input.description || '').trim(),
+      regex: String(input.regex || ''),
+      flags: String(input.flags || '').replace(/[^ims]/g, ''),
+      secretGroup: Number.isInteger(secretGroup) && secretGroup > 0 ? secretGroup : 0,
+      severity: this.severities.includes(input.severity) ? input.severity : this.defaultSeverity,
+      keywords: list(input.keywords).map(keyword => keyword.toLowerCase()),
+      ...(Number.isFinite(minEntropy) && minEntropy > 0 ? { minEntropy } : {}),
+      allowlist: {
+        regexes: list(allowlist.regexes),
+        stopwords: list(allowlist.stopwords).map(stopword => stopword.toLowerCase()),
+        regexTarget: ['match', 'line'].includes(allowlist.regexTarget) ? allowlist.regexTarget : 'secret'
+      },
+      tests: list(input.tests),
+      tags: list(input.tags),
+      enabled: input.enabled !== false
+    };
+  }
+
+  // Errors that keep a rule from being accepted; an empty list means the rule is valid
+  validateRule(rule) {
+    const errors = [];
+
+    if (!/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(rule.id)) {
+      errors.push('ID must start with a letter or digit and contain only letters, digits, ".", "_" and "-"');
+    }
+    if (!rule.regex) {
+      errors.push('Regex is required');
+    }
+
+    let compiled = null;
+    try {
+      compiled = this.compileRule(rule);
+      if (new RegExp(compiled.pattern.source, compiled.pattern.flags.replace('g', '')).test('')) {
+        errors.push('Regex matches an empty string');
+        compiled = null;
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (rule.tests.length === 0) {
+      errors.push('At least one test string is required');
+    } else if (compiled) {
+      rule.tests.forEach((test, index) => {
+        if (this.detector.scanRule(test, 'custom', rule.id, compiled, '').length === 0) {
+          errors.push(`Test string ${index + 1} doesn't produce a finding`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Rule -> pattern data the detector scans with. Throws when a regex doesn't compile
+  compileRule(rule) {
+    const compile = (source, flags, label) => {
+      const converted = this.convertGoRegex(source);
+      const allFlags = [...new Set(flags + converted.flags)].join('');
+      try {
+        return new RegExp(converted.source, allFlags);
+      } catch (error) {
+        throw new Error(`${label} doesn't compile: ${error.message}`);
+      }
+    };
+
+    const pattern = compile(rule.regex, `${rule.flags}g`, 'Regex');
+    const groups = new RegExp(`${pattern.source}|`).exec('').length - 1;
+    if (rule.secretGroup > groups) {
+      throw new Error(`Secret group ${rule.secretGroup} doesn't exist, the regex has ${groups} group(s)`);
+    }
+
+    return {
+      pattern,
+      name: rule.name || rule.id,
+      severity: rule.severity,
+      keywords: rule.keywords,
+      keywordPattern: rule.keywords.length > 0
+        ? new RegExp(rule.keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'i')
+        : null,
+      secretGroup: rule.secretGroup,
+      ...(rule.minEntropy ? { minEntropy: rule.minEntropy } : {}),
+      allowlist: {
+        regexes: rule.allowlist.regexes.map((source, index) => compile(source, '', `Allowlist regex ${index + 1}`)),
+        stopwords: rule.allowlist.stopwords,
+        regexTarget: rule.allowlist.regexTarget
+      }
+    };
+  }
+
+  // Enabled, valid rules keyed by ID for SecretDetector.setCustomRules()
+  compileRules(rules) {
+    const compiled = {};
+    rules.filter(rule => rule.enabled).forEach(rule => {
+      try {
+        compiled[rule.id] = this.compileRule(rule);
+      } catch (error) {
+        console.warn('Skipping secret rule', rule.id, error.message);
+      }
+    });
+    return compiled;
+  }
+
+  // gitleaks regexes are Go RE2: inline flags, (?P<name>), \z and POSIX classes need translating
+  convertGoRegex(source) {
+    let flags = '';
+    let converted = source.replace(/\(\?([ims]+)\)/g, (_, inline) => {
+      flags += inline;
+      return '';
+    });
+
+    converted = converted
+      .replace(/\(\?P</g, '(?<')
+      .replace(/\\z/g, '$')
+      .replace(/\\A/g, '^')
+      .replace(/\[:(\w+):\]/g, (match, name) => this.posixClasses[name] || match);
+
+    return { source: converted, flags: [...new Set(flags)].join('') };
+  }
+
+  // JSON rule pack or gitleaks TOML -> accepted (valid) and rejected rules with their errors
+  importPack(text) {
+    const trimmed = text.trim();
+    let rules;
+    let disabled = [];
+    let disabledPacks = [];
+
+    if (trimmed.startsWith('{')) {
+      const pack = JSON.parse(trimmed);
+      if (!Array.isArray(pack.rules)) {
+        throw new Error('Not a rule pack (missing rules)');
+      }
+      rules = pack.rules;
+      disabled = Array.isArray(pack.disabled) ? pack.disabled : [];
+      disabledPacks = Array.isArray(pack.disabledPacks) ? pack.disabledPacks : [];
+    } else {
+      rules = this.parseGitleaksToml(trimmed);
+    }
+
+    const accepted = [];
+    const rejected = [];
+    rules.forEach(input => {
+      const rule = this.normalizeRule(input);
+      const errors = input.unsupported ? [input.unsupported] : this.validateRule(rule);
+      if (errors.length === 0) {
+        accepted.push(rule);
+      } else {
+        rejected.push({ rule, errors });
+      }
+    });
+
+    return { accepted, rejected, disabled, disabledPacks };
+  }
+
+  // Replace rules with the same ID, append the rest
+  mergeRules(existing, incoming) {
+    const merged = new Map(existing.map(rule => [rule.id, rule]));
+    incoming.forEach(rule => merged.set(rule.id, rule));
+    return [...merged.values()];
+  }
+
+  parseGitleaksToml(text) {
+    const config = this.parseToml(text);
+    if (!Array.isArray(config.rules)) {
+      throw new Error('No [[rules]] found in TOML');
+    }
+
+    return config.rules.map(rule => {
+      // Newer gitleaks versions allow several allowlists per rule
+      const allowlists = [rule.allowlist, ...(rule.allowlists || [])].filter(Boolean);
+      const converted = {
+        id: rule.id,
+        name: rule.name || rule.description,
+        description: rule.description,
+        regex: rule.regex,
+        secretGroup: rule.secretGroup,
+        severity: rule.severity,
+        keywords: rule.keywords,
+        minEntropy: rule.entropy,
+        allowlist: {
+          regexes: allowlists.flatMap(allowlist => allowlist.regexes || []),
+          stopwords: allowlists.flatMap(allowlist => allowlist.stopwords || []),
+          regexTarget: allowlists.find(allowlist => allowlist.regexTarget)?.regexTarget
+        },
+        tests: rule.tests,
+        tags: rule.tags
+      };
+
+      if (!rule.regex) {
+        converted.unsupported = rule.path ? 'Path-only rules are not supported' : 'Regex is required';
+      }
+      return converted;
+    });
+  }
+
+  exportJson(state) {
+    return JSON.stringify({
+      format: this.packFormat,
+      version: this.packVersion,
+      exportedAt: new Date().toISOString(),
+      rules: state.rules,
+      disabled: state.disabled,
+      disabledPacks: state.disabledPacks || []
+    }, null, 2);
+  }
+
+  // gitleaks config; severity and tests are extra keys gitleaks ignores but our import reads back
+  exportToml(rules) {
+    const lines = [
+      '# Secret rules exported from Lazy Egg',
+      `title = ${this.tomlString('Lazy Egg secret rules')}`,
+      ''
+    ];
+
+    rules.forEach(rule => {
+      const flags = rule.flags.replace(/[^is]/g, '');
+      const regex = (flags ? `(?${flags})` : '') + rule.regex.replace(/\(\?</g, '(?P<').replace(/\(\?P<([=!])/g, '(?<$1');
+
+      lines.push('[[rules]]');
+      lines.push(`id = ${this.tomlString(rule.id)}`);
+      lines.push(`description = ${this.tomlString(rule.name)}`);
+      lines.push(`regex = ${this.tomlLiteral(regex)}`);
+      if (rule.secretGroup) lines.push(`secretGroup = ${rule.secretGroup}`);
+      if (rule.minEntropy) lines.push(`entropy = ${rule.minEntropy}`);
+      if (rule.keywords.length > 0) lines.push(`keywords = ${this.tomlArray(rule.keywords)}`);
+      if (rule.tags.length > 0) lines.push(`tags = ${this.tomlArray(rule.tags)}`);
+      lines.push(`severity = ${this.tomlString(rule.severity)}`);
+      lines.push(`tests = [${rule.tests.map(test => this.tomlLiteral(test)).join(', ')}]`);
+
+      if (rule.allowlist.regexes.length > 0 || rule.allowlist.stopwords.length > 0) {
+        lines.push('[rules.allowlist]');
+        if (rule.allowlist.regexTarget !== 'secret') {
+          lines.push(`regexTarget = ${this.tomlString(rule.allowlist.regexTarget)}`);
+        }
+        if (rule.allowlist.regexes.length > 0) {
+          lines.push(`regexes = [${rule.allowlist.regexes.map(regex => this.tomlLiteral(regex)).join(', ')}]`);
+        }
+        if (rule.allowlist.stopwords.length > 0) {
+          lines.push(`stopwords = ${this.tomlArray(rule.allowlist.stopwords)}`);
+        }
+      }
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  // JSON string escapes are valid TOML basic string escapes
+  tomlString(value) {
+    return JSON.stringify(String(value));
+  }
+
+  // Regexes read best unescaped: '''...''' unless the value itself contains ''' or ends in a quote
+  tomlLiteral(value) {
+    return value.includes("'''") || value.endsWith("'") || /[\r\n]/.test(value)
+      ? this.tomlString(value)
+      : `'''${value}'''`;
+  }
+
+  tomlArray(values) {
+    return `[${values.map(value => this.tomlString(value)).join(', ')}]`;
+  }
+
+  // The TOML subset gitleaks configs use: tables, arrays of tables, strings, numbers, booleans, arrays
+  parseToml(text) {
+    const root = {};
+    let table = root;
+    let pos = 0;
+
+    const fail = message => {
+      const line = text.substring(0, pos).split('\n').length;
+      throw new Error(`TOML line ${line}: ${message}`);
+    };
+
+    const skipSpace = (newlines = true) => {
+      while (pos < text.length) {
+        const char = text[pos];
+        if (char === '#') {
+          while (pos < text.length && text[pos] !== '\n') pos++;
+        } else if (char === ' ' || char === '\t' || char === '\r' || (newlines && char === '\n')) {
+          pos++;
+        } else {
+          break;
+        }
+      }
+    };
+
+    const parseKey = () => {
+      const parts = [];
+      do {
+        skipSpace(false);
+        if (text[pos] === '"' || text[pos] === "'") {
+          parts.push(parseString());
+        } else {
+          const match = /^[A-Za-z0-9_-]+/.exec(text.substring(pos, pos + 256));
+          if (!match) fail('expected a key');
+          parts.push(match[0]);
+          pos += match[0].length;
+        }
+        skipSpace(false);
+      } while (text[pos] === '.' && ++pos);
+      return parts;
+    };
+
+    const parseString = () => {
+      for (const quote of ["'''", '"""', "'", '"']) {
+        if (!text.startsWith(quote, pos)) continue;
+
+        pos += quote.length;
+        const multiline = quote.length === 3;
+        const literal = quote[0] === "'";
+        // A newline right after the opening delimiter is trimmed
+        if (multiline && text[pos] === '\n') pos++;
+        else if (multiline && text.startsWith('\r\n', pos)) pos += 2;
+
+        let value = '';
+        while (pos < text.length) {
+          if (text.startsWith(quote, pos)) {
+            // Up to two quotes right before a multiline closing delimiter are part of the value
+            let extra = 0;
+            while (multiline && extra < 2 && text[pos + quote.length + extra] === quote[0]) extra++;
+            pos += quote.length + extra;
+            return value + quote[0].repeat(extra);
+          }
+          const char = text[pos];
+          if (!multiline && char === '\n') fail('unterminated string');
+          if (!literal && char === '\\') {
+            value += parseEscape();
+            continue;
+          }
+          value += char;
+          pos++;
+        }
+        fail('unterminated string');
+      }
+      fail('expected a string');
+    };
+
+    const parseEscape = () => {
+      const char = text[pos + 1];
+      const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+      if (char in simple) {
+        pos += 2;
+        return simple[char];
+      }
+      if (char === 'u' || char === 'U') {
+        const length = char === 'u' ? 4 : 8;
+        const hex = text.substr(pos + 2, length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) fail('invalid unicode escape');
+        pos += 2 + length;
+        return String.fromCodePoint(parseInt(hex, 16));
+      }
+      // Line ending backslash in multiline basic strings
+      if (char === '\n' || char === '\r' || char === ' ' || char === '\t') {
+        pos++;
+        while (/\s/.test(text[pos] || '')) pos++;
+        return '';
+      }
+      fail(`invalid escape \\${char}`);
+    };
+
+    const parseValue = () => {
+      skipSpace(false);
+      const char = text[pos];
+      if (char === '"' || char === "'") return parseString();
+
+      if (char === '[') {
+        pos++;
+        const values = [];
+        skipSpace();
+        while (text[pos] !== ']') {
+          values.push(parseValue());
+          skipSpace();
+          if (text[pos] === ',') {
+            pos++;
+            skipSpace();
+          } else if (text[pos] !== ']') {
+            fail('expected "," or "]" in array');
+          }
+        }
+        pos++;
+        return values;
+      }
+
+      if (char === '{') {
+        pos++;
+        const inline = {};
+        skipSpace(false);
+        while (text[pos] !== '}') {
+          const key = parseKey();
+          if (text[pos] !== '=') fail('expected "="');
+          pos++;
+          this.setTomlValue(inline, key, parseValue(), fail);
+          skipSpace(false);
+          if (text[pos] === ',') pos++;
+          skipSpace(false);
+          if (pos >= text.length) fail('unterminated inline table');
+        }
+        pos++;
+        return inline;
+      }
+
+      const match = /^[^\s,\]}#]+/.exec(text.substring(pos, pos + 64));
+      if (!match) fail('expected a value');
+      pos += match[0].length;
+      if (match[0] === 'true') return true;
+      if (match[0] === 'false') return false;
+      const number = Number(match[0].replace(/_/g, ''));
+      if (Number.isNaN(number)) fail(`unsupported value ${match[0]}`);
+      return number;
+    };
+
+    while (true) {
+      skipSpace();
+      if (pos >= text.length) break;
+
+      if (text[pos] === '[') {
+        const arrayTable = text[pos + 1] === '[';
+        pos += arrayTable ? 2 : 1;
+        const path = parseKey();
+        if (!text.startsWith(arrayTable ? ']]' : ']', pos)) fail('unterminated table header');
+        pos += arrayTable ? 2 : 1;
+        table = this.resolveTomlTable(root, path, arrayTable, fail);
+      } else {
+        const key = parseKey();
+        if (text[pos] !== '=') fail('expected "="');
+        pos++;
+        this.setTomlValue(table, key, parseValue(), fail);
+      }
+
+      skipSpace(false);
+      if (pos < text.length && text[pos] !== '\n') fail('expected a new line');
+    }
+
+    return root;
+  }
+
+  // Walk a header path; arrays of tables resolve to their last element
+  resolveTomlTable(root, path, arrayTable, fail) {
+    let table = root;
+    path.forEach((part, index) => {
+      const last = index === path.length - 1;
+      if (last && arrayTable) {
+        if (table[part] === undefined) table[part] = [];
+        if (!Array.isArray(table[part])) fail(`${part} is not an array of tables`);
+        table[part].push({});
+        table = table[part][table[part].length - 1];
+        return;
+      }
+
+      if (table[part] === undefined) table[part] = {};
+      const next = Array.isArray(table[part]) ? table[part][table[part].length - 1] : table[part];
+      if (typeof next !== 'object' || next === null) fail(`${part} is not a table`);
+      table = next;
+    });
+    return table;
+  }
+
+  setTomlValue(table, path, value, fail) {
+    let target = table;
+    path.slice(0, -1).forEach(part => {
+      if (target[part] === undefined) target[part] = {};
+      if (typeof target[part] !== 'object') fail(`${part} is not a table`);
+      target = target[part];
+    });
+    target[path[path.length - 1]] = value;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SecretRuleManager;
+} else if (typeof window !== 'undefined') {
+  window.SecretRuleManager = SecretRuleManager;
+}
@@ -0,0 +1,108 @@
+// Secret Suppressions - false positive / accepted risk decisions matched by finding fingerprint
+class SecretSuppressions {
+  constructor() {
+    // this file, this host, everywhere
+    this.scopes = ['file', 'host', 'global'];
+    this.statuses = ['false-positive', 'accepted-risk'];
+  }
+
+  // "<rule>:<value hash>:<normalized source>" - rule IDs and hashes never contain ":", sources may
+  parseFingerprint(fingerprint) {
+    const [rule, valueHash, ...source] = String(fingerprint || '').split(':');
+    if (!rule || !/^[0-9a-f]{16}$/.test(valueHash || '')) {
+      throw new Error('Invalid finding fingerprint');
+    }
+
+    const sourceUrl = source.join(':');
+    return { rule, valueHash, source: sourceUrl, host: this.getHost(sourceUrl) };
+  }
+
+  getHost(source) {
+    try {
+      return new URL(source).hostname;
+    } catch {
+      return '';
+    }
+  }
+
+  create(fingerprint, { scope = 'file', status = 'false-positive', note = '', maskedValue = '' } = {}) {
+    if (!this.scopes.includes(scope)) {
+      throw new Error(`Unknown suppression scope: ${scope}`);
+    }
+    if (!this.statuses.includes(status)) {
+      throw new Error(`Unknown suppression status: ${status}`);
+    }
+
+    const { rule, valueHash, source, host } = this.parseFingerprint(fingerprint);
+    if (scope === 'host' && !host) {
+      throw new Error('Finding has no host to suppress on');
+    }
+
+    const target = scope === 'file' ? source : scope === 'host' ? host : '*';
+    return {
+      id: `${scope}:${rule}:${valueHash}:${target}`,
+      rule,
+      valueHash,
+      scope,
+      ...(scope === 'file' ? { source } : {}),
+      ...(scope === 'host' ? { host } : {}),
+      status,
+      note,
+      maskedValue,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Re-suppressing the same value at the same scope replaces the old decision
+  add(suppressions, suppression) {
+    return [...suppressions.filter(existing => existing.id !== suppression.id), suppression];
+  }
+
+  remove(suppressions, id) {
+    return suppressions.filter(existing => existing.id !== id);
+  }
+
+  // The suppression that hides a finding, or null
+  findSuppression(fingerprint, suppressions) {
+    if (!fingerprint || suppressions.length === 0) return null;
+
+    let parts;
+    try {
+      parts = this.parseFingerprint(fingerprint);
+    } catch {
+      return null;
+    }
+
+    return suppressions.find(suppression => {
+      if (suppression.rule !== parts.rule || suppression.valueHash !== parts.valueHash) return false;
+      if (suppression.scope === 'file') return suppression.source === parts.source;
+      if (suppression.scope === 'host') return suppression.host === parts.host;
+      return true;
+    }) || null;
+  }
+
+  isSuppressed(fingerprint, suppressions) {
+    return this.findSuppression(fingerprint, suppressions) !== null;
+  }
+
+  // Stored `secrets` without suppressed findings; files left without findings are dropped
+  filterSecrets(secrets, suppressions) {
+    if (suppressions.length === 0) return secrets;
+
+    const filtered = {};
+    Object.entries(secrets).forEach(([key, data]) => {
+      const findings = data.secrets.secrets.filter(secret => !this.isSuppressed(secret.fingerprint, suppressions));
+      if (findings.length > 0) {
+        filtered[key] = { ...data, secrets: { ...data.secrets, secrets: findings } };
+      }
+    });
+    return filtered;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SecretSuppressions;
+} else if (typeof window !== 'undefined') {
+  window.SecretSuppressions = SecretSuppressions;
+}
@@ -0,0 +1,252 @@
+// Secret Vault - passphrase-protected encryption of captured secret values at rest
+//
+// Findings are sealed with the vault's RSA-OAEP public key (a fresh AES-GCM key per finding), so scans
+// can store new secrets while the vault is locked. The private key is kept encrypted with an AES-GCM key
+// derived from the passphrase (PBKDF2); once unlocked it lives in chrome.storage.session (memory only).
+class SecretVault {
+  constructor() {
+    this.storageKey = 'vault';
+    this.sessionKey = 'vaultSession';
+    this.version = 1;
+    this.iterations = 310000;
+    this.minPassphraseLength = 8;
+    this.defaultAutoLockMinutes = 15;
+
+    // Finding fields that contain the secret itself, or data decoded from it
+    this.sealedFields = ['fullValue', 'context', 'jwt'];
+    // Sealed fields that stay readable in redacted form, so JWT checks still show while the vault is locked
+    this.redactors = { jwt: jwt => this.redactJwt(jwt) };
+  }
+
+  async getConfig() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || null;
+  }
+
+  async getStatus() {
+    const config = await this.getConfig();
+    return {
+      enabled: !!config,
+      unlocked: config ? (await this.getPrivateKey()) !== null : false,
+      autoLockMinutes: config?.autoLockMinutes ?? this.defaultAutoLockMinutes
+    };
+  }
+
+  async create(passphrase, autoLockMinutes = this.defaultAutoLockMinutes) {
+    if (await this.getConfig()) {
+      throw new Error('Vault already exists');
+    }
+    this.validatePassphrase(passphrase);
+
+    const keyPair = await crypto.subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const wrappingKey = await this.deriveKey(passphrase, salt, this.iterations);
+    const privateKey = new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey));
+
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        version: this.version,
+        salt: this.toBase64(salt),
+        iterations: this.iterations,
+        publicKey: this.toBase64(new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey))),
+        privateKey: await this.encrypt(wrappingKey, privateKey),
+        autoLockMinutes,
+        createdAt: new Date().toISOString()
+      }
+    });
+    await this.openSession(privateKey);
+  }
+
+  validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < this.minPassphraseLength) {
+      throw new Error(`Passphrase must be at least ${this.minPassphraseLength} characters`);
+    }
+  }
+
+  async unlock(passphrase) {
+    const config = await this.getConfig();
+    if (!config) {
+      throw new Error('Vault is not enabled');
+    }
+
+    const wrappingKey = await this.deriveKey(passphrase, this.fromBase64(config.salt), config.iterations);
+    let privateKey;
+    try {
+      privateKey = await this.decrypt(wrappingKey, config.privateKey);
+    } catch {
+      // AES-GCM authentication fails for a wrong passphrase
+      throw new Error('Wrong passphrase');
+    }
+    await this.openSession(privateKey);
+  }
+
+  async openSession(privateKey) {
+    await chrome.storage.session.set({
+      [this.sessionKey]: { privateKey: this.toBase64(privateKey), lastActivity: Date.now() }
+    });
+  }
+
+  async lock() {
+    await chrome.storage.session.remove(this.sessionKey);
+  }
+
+  async setAutoLockMinutes(minutes) {
+    const config = await this.getConfig();
+    if (!config) {
+      throw new Error('Vault is not enabled');
+    }
+    await chrome.storage.local.set({ [this.storageKey]: { ...config, autoLockMinutes: minutes } });
+  }
+
+  // Unlocked private key, or null; a session idle for longer than the auto-lock time is closed here
+  async getPrivateKey() {
+    const config = await this.getConfig();
+    const result = await chrome.storage.session.get([this.sessionKey]);
+    const session = result[this.sessionKey];
+    if (!config || !session) return null;
+
+    const autoLockMs = (config.autoLockMinutes ?? this.defaultAutoLockMinutes) * 60 * 1000;
+    if (Date.now() - session.lastActivity > autoLockMs) {
+      await this.lock();
+      return null;
+    }
+
+    await chrome.storage.session.set({ [this.sessionKey]: { ...session, lastActivity: Date.now() } });
+    return crypto.subtle.importKey(
+      'pkcs8', this.fromBase64(session.privateKey), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['decrypt']
+    );
+  }
+
+  // Removes the vault; callers unseal stored findings first
+  async destroy() {
+    await this.lock();
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  // Move the secret fields of each finding into `sealed`; no-op when the vault is off
+  async sealFindings(findings) {
+    const config = await this.getConfig();
+    if (!config) return findings;
+
+    const publicKey = await crypto.subtle.importKey(
+      'spki', this.fromBase64(config.publicKey), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt']
+    );
+
+    for (const finding of findings) {
+      if (finding.sealed) continue;
+
+      const fields = {};
+      this.sealedFields.forEach(field => {
+        if (field in finding) {
+          fields[field] = finding[field];
+          this.removeField(finding, field);
+        }
+      });
+
+      const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+      const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', dataKey));
+      finding.sealed = {
+        key: this.toBase64(new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, rawKey))),
+        ...(await this.encrypt(dataKey, new TextEncoder().encode(JSON.stringify(fields))))
+      };
+    }
+    return findings;
+  }
+
+  // Restore sealed fields; throws when sealed findings exist and the vault is locked
+  async unsealFindings(findings) {
+    if (!findings.some(finding => finding.sealed)) return findings;
+
+    const privateKey = await this.getPrivateKey();
+    if (!privateKey) {
+      throw new Error('Vault is locked');
+    }
+
+    for (const finding of findings) {
+      if (!finding.sealed) continue;
+
+      const rawKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, this.fromBase64(finding.sealed.key));
+      const dataKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+      const fields = JSON.parse(new TextDecoder().decode(await this.decrypt(dataKey, finding.sealed)));
+      Object.assign(finding, fields);
+      delete finding.sealed;
+    }
+    return findings;
+  }
+
+  // What leaves the background by default: masked value only
+  maskFindings(findings) {
+    findings.forEach(finding => {
+      this.sealedFields.forEach(field => this.removeField(finding, field));
+      delete finding.sealed;
+    });
+    return findings;
+  }
+
+  removeField(finding, field) {
+    if (this.redactors[field] && finding[field]) {
+      finding[field] = this.redactors[field](finding[field]);
+    } else {
+      delete finding[field];
+    }
+  }
+
+  // Claims and subject are often personal data, a cracked HMAC key is a live credential
+  redactJwt(jwt) {
+    return {
+      ...jwt,
+      claims: null,
+      subject: null,
+      issues: jwt.issues.map(({ secret, ...issue }) => issue),
+      redacted: true
+    };
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    return { iv: this.toBase64(iv), data: this.toBase64(data) };
+  }
+
+  async decrypt(key, { iv, data }) {
+    return new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(data)
+    ));
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SecretVault;
+} else if (typeof window !== 'undefined') {
+  window.SecretVault = SecretVault;
+}
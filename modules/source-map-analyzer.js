@@ -0,0 +1,193 @@
+// Source Map Analyzer - discovers source maps and reconstructs original sources
+class SourceMapAnalyzer {
+  constructor() {
+    this.maxMapSize = 20 * 1024 * 1024;
+
+    // Original sources that are third-party code, skipped by default
+    this.vendorPatterns = [
+      /(^|\/)node_modules\//,
+      /^webpack\/(bootstrap|runtime)/,
+      /^\(webpack\)/,
+      /(^|\/)bower_components\//
+    ];
+  }
+
+  // Find the source map referenced by a script (header wins over comment)
+  findSourceMapUrl(content, scriptUrl, headers = null) {
+    const headerValue = headers?.get?.('SourceMap') || headers?.get?.('X-SourceMap');
+    if (headerValue) {
+      return this.resolveUrl(headerValue.trim(), scriptUrl);
+    }
+
+    // Only the last reference counts, and it must be near the end of the file
+    const tail = content.slice(-4096);
+    const pattern = /(?:\/\/|\/\*)\s*[#@]\s*sourceMappingURL\s*=\s*([^\s'"*]+)\s*(?:\*\/)?/g;
+    let reference = null;
+    let match;
+    while ((match = pattern.exec(tail)) !== null) {
+      reference = match[1];
+    }
+
+    // Inline maps can be far larger than the tail window
+    if (!reference) {
+      const inline = content.match(/\/\/\s*[#@]\s*sourceMappingURL\s*=\s*(data:application\/json[^\s'"]+)\s*$/);
+      if (inline) reference = inline[1];
+    }
+
+    return reference ? this.resolveUrl(reference, scriptUrl) : null;
+  }
+
+  resolveUrl(reference, baseUrl) {
+    if (reference.startsWith('data:')) return reference;
+    try {
+      return new URL(reference, baseUrl).href;
+    } catch {
+      return null;
+    }
+  }
+
+  // Fetch (or decode) a source map
+  async fetchSourceMap(mapUrl, signal = undefined) {
+    if (mapUrl.startsWith('data:')) {
+      return this.parseSourceMap(this.decodeDataUrl(mapUrl));
+    }
+
+    const response = await fetch(mapUrl, { credentials: 'omit', cache: 'force-cache', signal });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (contentLength > this.maxMapSize) {
+      const error = new Error(`Source map too large (${contentLength} bytes)`);
+      error.retryable = false;
+      throw error;
+    }
+
+    return this.parseSourceMap(await response.text());
+  }
+
+  decodeDataUrl(dataUrl) {
+    const commaIndex = dataUrl.indexOf(',');
+    const meta = dataUrl.slice(0, commaIndex);
+    const payload = dataUrl.slice(commaIndex + 1);
+
+    if (/;base64/i.test(meta)) {
+      const binary = atob(payload);
+      const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    }
+    return decodeURIComponent(payload);
+  }
+
+  parseSourceMap(text) {
+    // Strip the XSSI prefix some servers add
+    const map = JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+
+    if (!map || (!Array.isArray(map.sources) && !Array.isArray(map.sections))) {
+      const error = new Error('Not a source map');
+      error.retryable = false;
+      throw error;
+    }
+
+    return map;
+  }
+
+  // Flatten (index) maps into a list of original files
+  reconstructSources(map, mapUrl, options = {}) {
+    const includeVendor = options.includeVendor || false;
+    const files = [];
+    const seen = new Set();
+
+    const collect = (sectionMap) => {
+      if (Array.isArray(sectionMap.sections)) {
+        sectionMap.sections.forEach(section => section.map && collect(section.map));
+        return;
+      }
+
+      const sourceRoot = sectionMap.sourceRoot || '';
+      (sectionMap.sources || []).forEach((source, index) => {
+        const content = sectionMap.sourcesContent?.[index];
+        if (typeof content !== 'string' || !source) return;
+
+        const path = this.normalizeSourcePath(source);
+        if (!path || seen.has(path)) return;
+        if (!includeVendor && this.isVendorSource(path)) return;
+
+        seen.add(path);
+        files.push({
+          path,
+          url: this.resolveSourceUrl(sourceRoot, source, mapUrl),
+          content,
+          size: content.length
+        });
+      });
+    };
+
+    collect(map);
+    return files;
+  }
+
+  // Turn "webpack://app/./src/api.js" into "src/api.js"
+  normalizeSourcePath(source) {
+    return source
+      .replace(/^webpack:\/\/[^/]*\//, '')
+      .replace(/^[a-z][a-z0-9+.-]*:\/\/\/?/i, '')
+      .replace(/\?.*$/, '')
+      .split('/')
+      .filter(part => part && part !== '.' && part !== '..')
+      .join('/');
+  }
+
+  resolveSourceUrl(sourceRoot, source, mapUrl) {
+    const joined = sourceRoot ? `${sourceRoot.replace(/\/$/, '')}/${source}` : source;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(joined) || mapUrl.startsWith('data:')) {
+      return joined;
+    }
+    try {
+      return new URL(joined, mapUrl).href;
+    } catch {
+      return joined;
+    }
+  }
+
+  isVendorSource(path) {
+    return this.vendorPatterns.some(pattern => pattern.test(path));
+  }
+
+  // Line number of the first occurrence of a value in a file
+  locateLine(content, value) {
+    const index = content.indexOf(value);
+    if (index === -1) return null;
+    return content.substring(0, index).split('\n').length;
+  }
+
+  // Build a ZIP of the reconstructed tree, one folder per script
+  buildArchive(trees, zipWriter) {
+    trees.forEach(tree => {
+      const folder = this.getArchiveFolder(tree.scriptUrl);
+      tree.files.forEach(file => {
+        zipWriter.addFile(`${folder}/${file.path}`, file.content);
+      });
+    });
+    return zipWriter.generate();
+  }
+
+  getArchiveFolder(scriptUrl) {
+    try {
+      const url = new URL(scriptUrl);
+      return `${url.hostname}${url.pathname}`;
+    } catch {
+      return 'unknown';
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceMapAnalyzer;
+} else if (typeof window !== 'undefined') {
+  window.SourceMapAnalyzer = SourceMapAnalyzer;
+}
@@ -0,0 +1,195 @@
+// Vulnerability Database - offline known-vulnerable JavaScript library versions
+//
+// The dataset follows retire.js (library -> URL/filename extractors with a §§version§§ placeholder ->
+// vulnerable version ranges with CVE/GHSA identifiers). A bundled copy ships in modules/vulnerability-db.json;
+// a newer file (ours or retire.js' jsrepository.json) can be imported and is stored globally.
+class VulnerabilityDatabase {
+  constructor() {
+    this.storageKey = 'vulnerabilityDb';
+    this.bundledPath = 'modules/vulnerability-db.json';
+    this.format = 'lazyegg-vulnerability-db';
+    this.severities = ['critical', 'high', 'medium', 'low'];
+    // Stops before ".min"/".js", keeps a prerelease suffix ("3.0.0-beta1")
+    this.versionPattern = '[0-9]+(?:\\.[0-9]+)+(?:-[0-9a-z]+)?';
+
+    this.database = null;
+    this.libraries = [];
+  }
+
+  // Use whichever of the bundled and imported datasets is newer
+  async load() {
+    const [bundled, stored] = await Promise.all([this.getBundled(), chrome.storage.local.get([this.storageKey])]);
+    const imported = stored[this.storageKey] || null;
+
+    this.use(imported && imported.updated >= bundled.updated ? imported : bundled);
+    return this.getStatus();
+  }
+
+  async getBundled() {
+    const response = await fetch(chrome.runtime.getURL(this.bundledPath));
+    if (!response.ok) {
+      throw new Error(`Bundled vulnerability database: HTTP ${response.status}`);
+    }
+    return { ...this.normalize(await response.json()), imported: false };
+  }
+
+  // Validate and store an imported file; it replaces the bundled data until an update ships newer data
+  async importDatabase(text) {
+    const database = { ...this.normalize(JSON.parse(text)), imported: true };
+    await chrome.storage.local.set({ [this.storageKey]: database });
+    this.use(database);
+    return this.getStatus();
+  }
+
+  async reset() {
+    await chrome.storage.local.remove(this.storageKey);
+    return this.load();
+  }
+
+  getStatus() {
+    const database = this.database || {};
+    return {
+      loaded: !!this.database,
+      updated: database.updated || null,
+      source: database.source || null,
+      imported: !!database.imported,
+      libraries: this.libraries.length,
+      vulnerabilities: this.libraries.reduce((total, library) => total + library.vulnerabilities.length, 0)
+    };
+  }
+
+  // Our format ({ format, updated, libraries }) or a bare retire.js repository. Throws when nothing usable is in it
+  normalize(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Not a vulnerability database');
+    }
+
+    const wrapped = input.format === this.format;
+    const entries = wrapped ? input.libraries || {} : input;
+    const libraries = {};
+
+    Object.entries(entries).forEach(([id, entry]) => {
+      // retire.js keeps URLs it never reports under "dont check"
+      if (id === 'dont check' || !entry?.extractors || !Array.isArray(entry.vulnerabilities)) return;
+
+      const patterns = list => (Array.isArray(list) ? list : []).filter(pattern => typeof pattern === 'string');
+      libraries[id] = {
+        name: String(entry.name || id),
+        ...(entry.homepage ? { homepage: String(entry.homepage) } : {}),
+        extractors: { uri: patterns(entry.extractors.uri), filename: patterns(entry.extractors.filename) },
+        vulnerabilities: entry.vulnerabilities
+          .filter(vulnerability => vulnerability && (vulnerability.below || vulnerability.atOrAbove))
+          .map(vulnerability => this.normalizeVulnerability(vulnerability))
+      };
+    });
+
+    if (Object.keys(libraries).length === 0) {
+      throw new Error('Not a vulnerability database (no libraries with extractors)');
+    }
+
+    return {
+      format: this.format,
+      updated: wrapped && input.updated ? String(input.updated) : new Date().toISOString().split('T')[0],
+      source: wrapped && input.source ? String(input.source) : 'retire.js repository',
+      libraries
+    };
+  }
+
+  normalizeVulnerability(vulnerability) {
+    const identifiers = vulnerability.identifiers || {};
+    const ids = value => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+
+    return {
+      ...(vulnerability.atOrAbove ? { atOrAbove: String(vulnerability.atOrAbove) } : {}),
+      ...(vulnerability.below ? { below: String(vulnerability.below) } : {}),
+      severity: this.severities.includes(vulnerability.severity) ? vulnerability.severity : 'medium',
+      identifiers: {
+        CVE: ids(identifiers.CVE),
+        // retire.js calls it githubID
+        GHSA: ids(identifiers.GHSA || identifiers.githubID)
+      },
+      summary: String(identifiers.summary || vulnerability.summary || ''),
+      info: ids(vulnerability.info)
+    };
+  }
+
+  // Compile extractors; a pattern that doesn't compile is skipped, not the library
+  use(database) {
+    const version = `(${this.versionPattern})`;
+    const compile = source => {
+      try {
+        return new RegExp(source.replace(/§§version§§/g, version), 'i');
+      } catch (error) {
+        console.warn('Skipping vulnerability extractor', source, error.message);
+        return null;
+      }
+    };
+
+    this.database = database;
+    this.libraries = Object.entries(database.libraries).map(([id, library]) => ({
+      id,
+      ...library,
+      uri: library.extractors.uri.map(compile).filter(Boolean),
+      filename: library.extractors.filename.map(compile).filter(Boolean)
+    }));
+  }
+
+  // { library, name, version } for the first library whose extractors match the script URL
+  detect(url) {
+    const filename = url.split(/[?#]/)[0].split('/').pop();
+    const isVersion = new RegExp(`^${this.versionPattern}$`, 'i');
+
+    for (const library of this.libraries) {
+      const match = library.uri.map(pattern => url.match(pattern)).find(Boolean) ||
+        library.filename.map(pattern => filename.match(pattern)).find(Boolean);
+      // Extractors may have other groups ("(\.min)?"), the version is the one that looks like one
+      const version = match && match.slice(1).find(group => group && isVersion.test(group));
+      if (version) {
+        return { library: library.id, name: library.name, version };
+      }
+    }
+    return null;
+  }
+
+  // Known vulnerabilities of a library version, most severe first
+  getVulnerabilities(libraryId, version) {
+    const library = this.libraries.find(candidate => candidate.id === libraryId);
+    if (!library) return [];
+
+    return library.vulnerabilities
+      .filter(vulnerability =>
+        (!vulnerability.atOrAbove || this.compareVersions(version, vulnerability.atOrAbove) >= 0) &&
+        (!vulnerability.below || this.compareVersions(version, vulnerability.below) < 0)
+      )
+      .sort((a, b) => this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity));
+  }
+
+  // Numeric parts first; a prerelease ("3.0.0-beta1") sorts before its release
+  compareVersions(a, b) {
+    const split = version => {
+      const dash = version.indexOf('-');
+      return dash === -1 ? [version, ''] : [version.slice(0, dash), version.slice(dash + 1)];
+    };
+    const [mainA, preA] = split(String(a));
+    const [mainB, preB] = split(String(b));
+    const partsA = mainA.split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = mainB.split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff < 0 ? -1 : 1;
+    }
+
+    if (preA === preB) return 0;
+    if (!preA) return 1;
+    if (!preB) return -1;
+    return preA.localeCompare(preB, undefined, { numeric: true });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VulnerabilityDatabase;
+} else if (typeof window !== 'undefined') {
+  window.VulnerabilityDatabase = VulnerabilityDatabase;
+}
@@ -0,0 +1,228 @@
+// Workspace Store - partitions stored data per engagement/target
+class WorkspaceStore {
+  constructor() {
+    this.storageKey = 'workspaces';
+    this.defaultId = 'default';
+
+    // Keys that belong to a workspace; everything else is global
+    this.scopedKeys = [
+      'jsFiles', 'endpoints', 'secrets', 'suppressions', 'domainData', 'snapshots', 'sourceMaps', 'wordlists', 'hosts', 'cloudAssets',
+      'settings', 'lastUpdate'
+    ];
+
+    this.state = null;
+    this.ready = this.load();
+
+    // Keep in sync with changes made from other extension pages
+    if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[this.storageKey]?.newValue) {
+          this.state = changes[this.storageKey].newValue;
+        }
+      });
+    }
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    this.state = result[this.storageKey] || null;
+
+    if (!this.state || !this.state.items || !this.state.items[this.state.activeId]) {
+      // First run: existing data becomes the default workspace
+      this.state = {
+        activeId: this.defaultId,
+        items: {
+          ...(this.state?.items || {}),
+          [this.defaultId]: this.createRecord(this.defaultId, 'Default')
+        }
+      };
+      await this.saveState();
+    }
+  }
+
+  // Re-read state after another page changed it
+  reload() {
+    this.ready = this.load();
+    return this.ready;
+  }
+
+  async saveState() {
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createRecord(id, name) {
+    const now = new Date().toISOString();
+    return { id, name, createdAt: now, updatedAt: now, archived: false };
+  }
+
+  // Storage key for a workspace-scoped value
+  keyFor(key, workspaceId = this.state.activeId) {
+    if (!this.scopedKeys.includes(key) || workspaceId === this.defaultId) {
+      return key;
+    }
+    return `ws_${workspaceId}_${key}`;
+  }
+
+  // chrome.storage.local.get() scoped to a workspace
+  async get(keys, workspaceId = null) {
+    await this.ready;
+    const id = workspaceId || this.state.activeId;
+    const keyList = Array.isArray(keys) ? keys : [keys];
+
+    const result = await chrome.storage.local.get(keyList.map(key => this.keyFor(key, id)));
+
+    const scoped = {};
+    keyList.forEach(key => {
+      const storageKey = this.keyFor(key, id);
+      if (storageKey in result) {
+        scoped[key] = result[storageKey];
+      }
+    });
+    return scoped;
+  }
+
+  // chrome.storage.local.set() scoped to a workspace
+  async set(items, workspaceId = null) {
+    await this.ready;
+    const id = workspaceId || this.state.activeId;
+    // A job still running for a deleted workspace must not bring its keys back
+    this.requireWorkspace(id);
+
+    const scoped = {};
+    Object.entries(items).forEach(([key, value]) => {
+      scoped[this.keyFor(key, id)] = value;
+    });
+
+    await chrome.storage.local.set(scoped);
+  }
+
+  // chrome.storage.local.remove() scoped to a workspace
+  async remove(keys, workspaceId = null) {
+    await this.ready;
+    const id = workspaceId || this.state.activeId;
+    const keyList = Array.isArray(keys) ? keys : [keys];
+
+    await chrome.storage.local.remove(keyList.map(key => this.keyFor(key, id)));
+  }
+
+  getActiveId() {
+    return this.state.activeId;
+  }
+
+  getActive() {
+    return this.state.items[this.state.activeId];
+  }
+
+  async list(includeArchived = true) {
+    await this.ready;
+    return Object.values(this.state.items)
+      .filter(workspace => includeArchived || !workspace.archived)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async create(name, settings = null) {
+    await this.ready;
+    const trimmed = this.validateName(name);
+
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+    this.state.items[id] = this.createRecord(id, trimmed);
+    await this.saveState();
+
+    // New workspaces start with empty data and a copy of the current settings
+    await this.set({
+      jsFiles: [],
+      endpoints: {},
+      secrets: {},
+      domainData: {},
+      snapshots: {},
+      sourceMaps: {},
+      wordlists: {},
+      hosts: {},
+      cloudAssets: {},
+      ...(settings ? { settings } : {})
+    }, id);
+
+    return this.state.items[id];
+  }
+
+  async switchTo(id) {
+    await this.ready;
+    const workspace = this.requireWorkspace(id);
+
+    if (workspace.archived) {
+      throw new Error('Cannot switch to an archived workspace');
+    }
+
+    this.state.activeId = id;
+    await this.saveState();
+    return workspace;
+  }
+
+  async rename(id, name) {
+    await this.ready;
+    const workspace = this.requireWorkspace(id);
+
+    workspace.name = this.validateName(name, id);
+    workspace.updatedAt = new Date().toISOString();
+    await this.saveState();
+    return workspace;
+  }
+
+  async archive(id, archived = true) {
+    await this.ready;
+    const workspace = this.requireWorkspace(id);
+
+    if (archived && id === this.state.activeId) {
+      throw new Error('Cannot archive the active workspace');
+    }
+
+    workspace.archived = archived;
+    workspace.updatedAt = new Date().toISOString();
+    await this.saveState();
+    return workspace;
+  }
+
+  async delete(id) {
+    await this.ready;
+    this.requireWorkspace(id);
+
+    if (id === this.state.activeId) {
+      throw new Error('Cannot delete the active workspace');
+    }
+
+    delete this.state.items[id];
+    await this.saveState();
+    await this.remove(this.scopedKeys, id);
+  }
+
+  requireWorkspace(id) {
+    const workspace = this.state.items[id];
+    if (!workspace) {
+      throw new Error(`Workspace not found: ${id}`);
+    }
+    return workspace;
+  }
+
+  validateName(name, excludeId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Workspace name is required');
+    }
+
+    const duplicate = Object.values(this.state.items)
+      .some(workspace => workspace.id !== excludeId &&
+        workspace.name.toLowerCase() === trimmed.toLowerCase());
+    if (duplicate) {
+      throw new Error(`Workspace "${trimmed}" already exists`);
+    }
+
+    return trimmed;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkspaceStore;
+} else if (typeof window !== 'undefined') {
+  window.WorkspaceStore = WorkspaceStore;
+}
@@ -0,0 +1,127 @@
+// Minimal ZIP archive writer (stored entries, no compression)
+class ZipWriter {
+  constructor() {
+    this.files = [];
+    this.encoder = new TextEncoder();
+  }
+
+  static buildCrcTable() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  }
+
+  // Also used for SecretDetector's token checksums
+  static crc32(bytes) {
+    ZipWriter.crcTable = ZipWriter.crcTable || ZipWriter.buildCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Add a file; content may be a string or Uint8Array
+  addFile(path, content, date = new Date()) {
+    const name = this.sanitizePath(path);
+    if (!name) return;
+
+    const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+    this.files.push({
+      name: this.encoder.encode(name),
+      data,
+      crc: ZipWriter.crc32(data),
+      date
+    });
+  }
+
+  // Keep archive paths relative and free of traversal segments
+  sanitizePath(path) {
+    return String(path)
+      .replace(/\\/g, '/')
+      .split('/')
+      .filter(part => part && part !== '.' && part !== '..')
+      .map(part => part.replace(/[<>:"|?*\x00-\x1f]/g, '_'))
+      .join('/');
+  }
+
+  getDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  // Build the archive as a Uint8Array
+  generate() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of this.files) {
+      const { time, day } = this.getDosDateTime(file.date);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, file.crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, file.name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, day, true);
+      central.setUint32(16, file.crc, true);
+      central.setUint32(20, file.data.length, true);
+      central.setUint32(24, file.data.length, true);
+      central.setUint16(28, file.name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), file.name, file.data);
+      centralParts.push(new Uint8Array(central.buffer), file.name);
+      offset += 30 + file.name.length + file.data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      output.set(part, position);
+      position += part.length;
+    });
+
+    return output;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipWriter;
+} else if (typeof window !== 'undefined') {
+  window.ZipWriter = ZipWriter;
+}
@@ -1,4 +1,31 @@
 // Background Service Worker for Lazy Egg JS Watcher Enhanced
+
+// Analysis engines (classic worker scripts share the global scope)
+importScripts(
+  '/vendor/acorn.js',
+  '/modules/ast-endpoint-extractor.js',
+  '/modules/graphql-extractor.js',
+  '/modules/linkfinder-lite.js',
+  '/modules/endpoint-requests.js',
+  '/modules/burp-export.js',
+  '/modules/zip-writer.js',
+  '/modules/secret-detector.js',
+  '/modules/secret-rules.js',
+  '/modules/secret-suppressions.js',
+  '/modules/jwt-analyzer.js',
+  '/modules/secret-vault.js',
+  '/modules/job-queue.js',
+  '/modules/workspace-store.js',
+  '/modules/scope-rules.js',
+  '/modules/source-map-analyzer.js',
+  '/modules/chunk-enumerator.js',
+  '/modules/param-harvester.js',
+  '/modules/domain-categorizer.js',
+  '/modules/host-inventory.js',
+  '/modules/cloud-assets.js',
+  '/modules/domain-snapshot.js'
+);
+
 class LazyEggEnhancedBackground {
   constructor() {
     this.setupEventListeners();
@@ -6,7 +33,42 @@ class LazyEggEnhancedBackground {
     this.secrets = new Map();
     this.domainData = new Map();
     this.snapshots = new Map();
+
+    // Badge alert count, kept in session storage so it survives service worker suspension
     this.alertsCount = 0;
+    this.alertsLoaded = this.loadAlertsCount();
+
+    // All per-target data goes through the active workspace
+    this.workspaces = new WorkspaceStore();
+
+    // Fetch-and-analyze pipeline for captured scripts. Jobs run concurrently, so each one scans with
+    // its own engines (see createSecretDetector); this detector holds the compiled built-in packs
+    this.secretDetector = new SecretDetector();
+    this.secretRules = new SecretRuleManager(this.secretDetector);
+    this.suppressions = new SecretSuppressions();
+    this.jwtAnalyzer = new JwtAnalyzer();
+    this.vault = new SecretVault();
+    this.configureIdleDetection();
+    this.sourceMapAnalyzer = new SourceMapAnalyzer();
+    this.chunkEnumerator = new ChunkEnumerator();
+    this.requestBuilder = new EndpointRequestBuilder();
+    this.burpExporter = new BurpExporter(this.requestBuilder);
+    this.graphqlExtractor = new GraphQLExtractor();
+    this.paramHarvester = new ParamHarvester();
+    this.hostInventory = new HostInventory();
+    this.cloudAssetExtractor = new CloudAssetExtractor();
+
+    // Workspace keys updated by read-modify-write (findings, jsFiles, inventories) are written one at a time per key,
+    // concurrent jobs would otherwise overwrite each other's results
+    this.storageWrites = new Map();
+    this.harvestedPages = new Set();
+
+    // Durable queue survives service worker suspension
+    this.jobQueue = new AnalysisJobQueue({
+      handler: this.runJob.bind(this),
+      onProgress: this.broadcastJobProgress.bind(this)
+    });
+    this.jobQueue.pump();
   }
 
   setupEventListeners() {
@@ -18,37 +80,114 @@ class LazyEggEnhancedBackground {
 
     // Handle tab updates to inject content script and required modules
     chrome.tabs.onUpdated.addListener(this.handleTabUpdate.bind(this));
+
+    // Resume queued jobs after the worker was suspended
+    chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
+
+    // Lock the secret vault when the user goes idle or locks the screen
+    chrome.idle.onStateChanged.addListener(this.handleIdleStateChanged.bind(this));
+  }
+
+  handleAlarm(alarm) {
+    this.jobQueue.handleAlarm(alarm);
+  }
+
+  handleIdleStateChanged(state) {
+    if (state !== 'active') {
+      this.vault.lock().catch(error => console.error('Failed to lock vault:', error));
+    }
+  }
+
+  async configureIdleDetection() {
+    const config = await this.vault.getConfig();
+    chrome.idle.setDetectionInterval((config?.autoLockMinutes ?? this.vault.defaultAutoLockMinutes) * 60);
   }
 
   handleInstalled(details) {
     console.log("Lazy Egg Enhanced JS Watcher installed/updated:", details.reason);
+    this.initializeWorkspaceStorage();
+  }
 
-    // Initialize enhanced storage
-    chrome.storage.local.get([
-      'jsFiles', 'endpoints', 'secrets', 'domainData', 'snapshots', 'settings'
-    ], (result) => {
-      const defaultSettings = {
-        autoCapture: true,
-        excludePatterns: ["google-analytics", "gtag", "facebook.net"],
-        enableSecretDetection: true,
-        enableEndpointExtraction: true,
-        enableDomainCategorization: true,
-        enableSnapshots: true,
-        alertOnCriticalSecrets: true,
-        alertOnSuspiciousDomains: true,
-        exportFormats: ['json', 'csv', 'burp'],
-        maxStoredSnapshots: 10
-      };
+  getDefaultSettings() {
+    return {
+      autoCapture: true,
+      scope: {
+        inScope: [],
+        outOfScope: ["keyword:google-analytics", "keyword:gtag", "keyword:facebook.net"]
+      },
+      enableSecretDetection: true,
+      enableEndpointExtraction: true,
+      endpointExtractionMode: 'ast',
+      enableSourceMaps: true,
+      enableChunkEnumeration: true,
+      enableParamHarvesting: true,
+      enableHostInventory: true,
+      enableCloudAssetDiscovery: true,
+      enableDomainCategorization: true,
+      enableSnapshots: true,
+      alertOnCriticalSecrets: true,
+      alertOnSuspiciousDomains: true,
+      // Findings below this confidence don't raise alerts and are hidden in the popup by default
+      minSecretConfidence: 0.5,
+      showLowConfidenceSecrets: false,
+      // Checksummed formats (GitHub/npm tokens, card numbers) whose checksum doesn't match
+      hidePatternOnlySecrets: false,
+      // PII and internal infrastructure leaks (emails, private IPs, internal hosts), off outside privacy audits
+      enablePiiDetection: false,
+      secretRuleThresholds: {},
+      exportFormats: ['json', 'csv', 'burp'],
+      maxStoredSnapshots: 10,
+      maxScriptSize: 5 * 1024 * 1024
+    };
+  }
+
+  migrateSettings(storedSettings = {}) {
+    const settings = { ...storedSettings };
 
-      chrome.storage.local.set({
+    // Substring exclude patterns became out-of-scope keyword rules
+    if (!settings.scope && Array.isArray(settings.excludePatterns)) {
+      settings.scope = this.getLegacyScope(settings.excludePatterns);
+    }
+    delete settings.excludePatterns;
+
+    return { ...this.getDefaultSettings(), ...settings };
+  }
+
+  getLegacyScope(excludePatterns = []) {
+    return {
+      inScope: [],
+      outOfScope: excludePatterns.map(pattern => `keyword:${pattern}`)
+    };
+  }
+
+  getScopeRules(settings = {}) {
+    return new ScopeRules(settings.scope || this.getLegacyScope(settings.excludePatterns));
+  }
+
+  // Initialize enhanced storage for a workspace (active one by default)
+  async initializeWorkspaceStorage(workspaceId = null) {
+    try {
+      const result = await this.workspaces.get([
+        'jsFiles', 'endpoints', 'secrets', 'suppressions', 'domainData', 'snapshots', 'sourceMaps', 'wordlists', 'hosts',
+        'cloudAssets', 'settings'
+      ], workspaceId);
+
+      await this.workspaces.set({
         jsFiles: result.jsFiles || [],
         endpoints: result.endpoints || {},
         secrets: result.secrets || {},
+        suppressions: result.suppressions || [],
         domainData: result.domainData || {},
         snapshots: result.snapshots || {},
-        settings: { ...defaultSettings, ...result.settings }
-      });
-    });
+        sourceMaps: result.sourceMaps || {},
+        wordlists: result.wordlists || {},
+        hosts: result.hosts || {},
+        cloudAssets: result.cloudAssets || {},
+        settings: this.migrateSettings(result.settings)
+      }, workspaceId);
+    } catch (error) {
+      console.error('Failed to initialize storage:', error);
+    }
   }
 
   async handleTabUpdate(tabId, changeInfo, tab) {
@@ -61,6 +200,9 @@ class LazyEggEnhancedBackground {
     switch (message.type) {
       case "saveJsFiles":
         this.saveJsFiles(message.data);
+        if (sender?.tab?.id !== undefined) {
+          this.harvestPage(sender.tab);
+        }
         break;
       case "saveEndpoints":
         this.saveEndpoints(message.data);
@@ -72,19 +214,36 @@ class LazyEggEnhancedBackground {
         this.saveSnapshot(message.data);
         break;
       case "suspiciousDomains":
-        this.handleSuspiciousDomains(message.data);
+        this.handleSuspiciousDomains(message.data, sender?.tab?.url);
         break;
       case "suspiciousFindings":
-        this.handleSuspiciousFindings(message.data);
+        this.handleSuspiciousFindings(message.data, sender?.tab?.url);
         break;
       case "getStats":
         this.getEnhancedStats(sendResponse);
         return true; // Keep message channel open
       case "getEndpoints":
-        this.getEndpoints(sendResponse);
+        this.getEndpoints(sendResponse, message.inScopeOnly);
         return true;
       case "getSecrets":
-        this.getSecrets(sendResponse);
+        this.getSecrets(sendResponse, message.inScopeOnly, message.unmasked);
+        return true;
+      case "getRulePackErrors":
+        // Also retries packs that failed to load
+        this.secretDetector.loadBuiltinPacks().then(() => sendResponse({ success: true, errors: this.secretDetector.packErrors }));
+        return true;
+      case "getVaultStatus":
+      case "createVault":
+      case "unlockVault":
+      case "lockVault":
+      case "setVaultAutoLock":
+      case "disableVault":
+        this.manageVault(message, sendResponse);
+        return true;
+      case "getSuppressions":
+      case "suppressSecret":
+      case "unsuppressSecret":
+        this.manageSuppressions(message, sendResponse);
         return true;
       case "getDomainData":
         this.getDomainData(sendResponse);
@@ -92,46 +251,80 @@ class LazyEggEnhancedBackground {
       case "getSnapshots":
         this.getSnapshots(sendResponse);
         return true;
+      case "exportSnapshot":
+        this.exportSnapshot(message.snapshotId, message.format, sendResponse);
+        return true;
+      case "importHar":
+        this.importHAR(message.har, sendResponse);
+        return true;
       case "exportData":
-        this.exportData(message.format, message.dataType, sendResponse);
+        this.exportData(message.format, message.dataType, sendResponse, message.includeUnmasked);
+        return true;
+      case "getJobProgress":
+        this.getJobProgress(sendResponse);
+        return true;
+      case "cancelJobs":
+        this.jobQueue.cancel(message.jobIds).then(cancelled => sendResponse({ cancelled }));
+        return true;
+      case "retryFailedJobs":
+        this.jobQueue.retryFailed().then(retried => sendResponse({ retried }));
+        return true;
+      case "getWorkspaces":
+      case "createWorkspace":
+      case "switchWorkspace":
+      case "renameWorkspace":
+      case "archiveWorkspace":
+      case "deleteWorkspace":
+        this.manageWorkspace(message, sendResponse);
         return true;
       default:
         console.warn("Unknown message type:", message.type);
     }
   }
 
-  async saveEndpoints(endpointData) {
-    try {
-      const result = await chrome.storage.local.get(['endpoints']);
-      const endpoints = result.endpoints || {};
-      
-      const key = `${endpointData.url}_${Date.now()}`;
-      endpoints[key] = endpointData;
-      
-      await chrome.storage.local.set({ endpoints });
-      console.log('Saved endpoints for:', endpointData.url);
-    } catch (error) {
-      console.error('Failed to save endpoints:', error);
-    }
+  async saveEndpoints(endpointData, workspaceId = null) {
+    return this.queueWrite('endpoints', async () => {
+      try {
+        const result = await this.workspaces.get(['endpoints'], workspaceId);
+        const endpoints = result.endpoints || {};
+
+        const key = `${endpointData.url}_${Date.now()}`;
+        endpoints[key] = endpointData;
+
+        await this.workspaces.set({ endpoints }, workspaceId);
+        console.log('Saved endpoints for:', endpointData.url);
+      } catch (error) {
+        console.error('Failed to save endpoints:', error);
+      }
+    });
   }
 
-  async saveSecrets(secretData) {
+  async saveSecrets(secretData, workspaceId = null) {
     try {
-      const result = await chrome.storage.local.get(['secrets', 'settings']);
-      const secrets = result.secrets || {};
+      // Decoded header/claims and JWT checks can raise a token's severity before alerting
+      await this.jwtAnalyzer.annotateFindings(secretData.secrets.secrets);
+      // With the vault on, values are only stored encrypted
+      await this.vault.sealFindings(secretData.secrets.secrets);
+
+      await this.queueWrite('secrets', async () => {
+        const { secrets = {} } = await this.workspaces.get(['secrets'], workspaceId);
+        secrets[`${secretData.url}_${Date.now()}`] = secretData;
+        await this.workspaces.set({ secrets }, workspaceId);
+      });
+
+      const result = await this.workspaces.get(['suppressions', 'settings'], workspaceId);
       const settings = result.settings || {};
+      const suppressions = result.suppressions || [];
       
-      const key = `${secretData.url}_${Date.now()}`;
-      secrets[key] = secretData;
-      
-      await chrome.storage.local.set({ secrets });
-      
-      // Update badge if critical secrets found
-      const criticalSecrets = secretData.secrets.secrets.filter(s => s.severity === 'critical');
-      if (criticalSecrets.length > 0) {
-        this.alertsCount++;
-        chrome.action.setBadgeText({ text: this.alertsCount.toString() });
-        chrome.action.setBadgeBackgroundColor({ color: "#ff4757" });
+      // Update badge if critical secrets found (in-scope targets only)
+      const inScope = this.getScopeRules(settings).isInScope(secretData.url);
+      const minConfidence = settings.minSecretConfidence ?? 0.5;
+      const criticalSecrets = secretData.secrets.secrets.filter(
+        s => s.severity === 'critical' && (s.confidence ?? 1) >= minConfidence &&
+          !this.suppressions.isSuppressed(s.fingerprint, suppressions)
+      );
+      if (inScope && criticalSecrets.length > 0) {
+        await this.addAlerts(1, "#ff4757");
         
         // Show notification if enabled
         if (settings.alertOnCriticalSecrets) {
@@ -150,9 +343,9 @@ class LazyEggEnhancedBackground {
     }
   }
 
-  async saveSnapshot(snapshotData) {
+  async saveSnapshot(snapshotData, workspaceId = null) {
     try {
-      const result = await chrome.storage.local.get(['snapshots', 'settings']);
+      const result = await this.workspaces.get(['snapshots', 'settings'], workspaceId);
       const snapshots = result.snapshots || {};
       const settings = result.settings || {};
       
@@ -174,29 +367,38 @@ class LazyEggEnhancedBackground {
         }
       }
       
-      await chrome.storage.local.set({ snapshots });
+      await this.workspaces.set({ snapshots }, workspaceId);
       console.log('Saved snapshot:', snapshotData.snapshotId);
     } catch (error) {
       console.error('Failed to save snapshot:', error);
     }
   }
 
-  async handleSuspiciousDomains(data) {
+  async handleSuspiciousDomains(data, pageUrl = null) {
     try {
-      const result = await chrome.storage.local.get(['domainData', 'settings']);
-      const domainData = result.domainData || {};
+      const result = await this.workspaces.get(['settings']);
       const settings = result.settings || {};
-      
-      const key = `${window.location?.hostname || 'unknown'}_${Date.now()}`;
-      domainData[key] = data;
-      
-      await chrome.storage.local.set({ domainData });
-      
-      // Alert on suspicious domains if enabled
-      if (settings.alertOnSuspiciousDomains && data.suspicious.length > 0) {
-        this.alertsCount++;
-        chrome.action.setBadgeText({ text: this.alertsCount.toString() });
-        chrome.action.setBadgeBackgroundColor({ color: "#ff6b35" });
+      const scopeRules = this.getScopeRules(settings);
+
+      // Keyed by the analyzed page's domain, from the message or the tab that sent it
+      let domain = data.domain;
+      if (!domain && pageUrl) {
+        try { domain = new URL(pageUrl).hostname; } catch { /* keep 'unknown' */ }
+      }
+
+      await this.queueWrite('domainData', async () => {
+        const { domainData = {} } = await this.workspaces.get(['domainData']);
+        domainData[`${domain || 'unknown'}_${Date.now()}`] = data;
+        await this.workspaces.set({ domainData });
+      });
+
+      // Alert on suspicious domains if enabled, in-scope pages and domains only
+      const suspicious = (data.suspicious || []).filter(entry =>
+        scopeRules.isInScope(`https://${entry.domain || entry}/`)
+      );
+      const pageInScope = !pageUrl || scopeRules.isInScope(pageUrl);
+      if (settings.alertOnSuspiciousDomains && pageInScope && suspicious.length > 0) {
+        await this.addAlerts(1, "#ff6b35");
       }
       
     } catch (error) {
@@ -204,14 +406,18 @@ class LazyEggEnhancedBackground {
     }
   }
 
-  async handleSuspiciousFindings(findings) {
+  async handleSuspiciousFindings(findings, pageUrl = null) {
     try {
-      // Store findings and increment alert counter
-      this.alertsCount += findings.filter(f => f.severity === 'critical' || f.severity === 'high').length;
-      
-      if (this.alertsCount > 0) {
-        chrome.action.setBadgeText({ text: this.alertsCount.toString() });
-        chrome.action.setBadgeBackgroundColor({ color: "#ff4757" });
+      const result = await this.workspaces.get(['settings']);
+      const scopeRules = this.getScopeRules(result.settings || {});
+
+      // Increment alert counter for in-scope findings (located by their own URL or the page's)
+      const count = findings.filter(f => {
+        const url = f.url || f.sourceUrl || pageUrl;
+        return (f.severity === 'critical' || f.severity === 'high') && (!url || scopeRules.isInScope(url));
+      }).length;
+      if (count > 0) {
+        await this.addAlerts(count, "#ff4757");
       }
       
     } catch (error) {
@@ -219,49 +425,479 @@ class LazyEggEnhancedBackground {
     }
   }
 
-  async saveJsFiles(newJsFiles) {
+  async saveJsFiles(newJsFiles, workspaceId = null, { analyze = true } = {}) {
     try {
-      const result = await chrome.storage.local.get(["jsFiles", "settings"]);
-      const existingFiles = result.jsFiles || [];
+      await this.workspaces.ready;
+      workspaceId = workspaceId || this.workspaces.getActiveId();
+
+      const { newFiles, allFiles } = await this.queueWrite('jsFiles', async () => {
+        const result = await this.workspaces.get(["jsFiles", "settings"], workspaceId);
+        const existingFiles = result.jsFiles || [];
+        const settings = result.settings || {};
+
+        // Only capture in-scope scripts
+        const scopeRules = this.getScopeRules(settings);
+        const filteredFiles = newJsFiles.filter((url) => scopeRules.isInScope(url));
+
+        // Merge with existing files (avoid duplicates)
+        const knownFiles = new Set(existingFiles);
+        const newFiles = [...new Set(filteredFiles)].filter(url => !knownFiles.has(url));
+        const allFiles = [...existingFiles, ...newFiles];
+
+        await this.workspaces.set({
+          jsFiles: allFiles,
+          lastUpdate: Date.now(),
+        }, workspaceId);
+
+        return { newFiles, allFiles };
+      });
+
+      // Update badge with count (only if no alerts)
+      if (workspaceId === this.workspaces.getActiveId()) {
+        await this.updateFileCountBadge(allFiles.length);
+      }
+
+      // Queue newly captured scripts for endpoint/secret analysis
+      if (analyze && newFiles.length > 0) {
+        this.queueAnalysis(newFiles, workspaceId);
+      }
+    } catch (error) {
+      console.error("Failed to save JS files:", error);
+    }
+  }
+
+  // Collect form field names and links from a page via LinkFinderLite.extractFromDOM()
+  async harvestPage(tab) {
+    try {
+      await this.workspaces.ready;
+      const workspaceId = this.workspaces.getActiveId();
+
+      const result = await this.workspaces.get(['settings'], workspaceId);
       const settings = result.settings || {};
+      if (settings.enableParamHarvesting === false || !tab.url || !this.getScopeRules(settings).isInScope(tab.url)) {
+        return;
+      }
 
-      // Filter out excluded patterns
-      const filteredFiles = newJsFiles.filter((url) => {
-        if (!settings.excludePatterns) return true;
-        return !settings.excludePatterns.some((pattern) =>
-          url.includes(pattern)
-        );
+      // Each page counts once per workspace
+      const pageKey = `${workspaceId}|${tab.url}`;
+      if (this.harvestedPages.has(pageKey)) return;
+      this.harvestedPages.add(pageKey);
+
+      const target = { tabId: tab.id };
+      const [loaded] = await chrome.scripting.executeScript({
+        target,
+        func: () => typeof window.LinkFinderLite !== 'undefined'
+      });
+      if (!loaded?.result) {
+        await chrome.scripting.executeScript({ target, files: ['modules/linkfinder-lite.js'] });
+      }
+
+      const [extracted] = await chrome.scripting.executeScript({
+        target,
+        func: () => new window.LinkFinderLite().extractFromDOM()
       });
 
-      // Merge with existing files (avoid duplicates)
-      const allFiles = [...new Set([...existingFiles, ...filteredFiles])];
+      await this.saveWordlists(this.paramHarvester.harvestDom(extracted?.result, tab.url), workspaceId);
+    } catch (error) {
+      console.error('Failed to harvest page parameters:', error);
+    }
+  }
+
+  // Run task after the pending writes of the same storage key; resolves/rejects with the task's result
+  queueWrite(key, task) {
+    const write = (this.storageWrites.get(key) || Promise.resolve()).then(task);
+    const settled = write.catch(() => {});
+    this.storageWrites.set(key, settled);
+    settled.then(() => {
+      if (this.storageWrites.get(key) === settled) this.storageWrites.delete(key);
+    });
+    return write;
+  }
+
+  async saveWordlists(harvest, workspaceId = null) {
+    if (this.paramHarvester.isEmpty(harvest)) return;
+
+    return this.queueWrite('wordlists', async () => {
+      try {
+        const result = await this.workspaces.get(['wordlists'], workspaceId);
+        const wordlists = this.paramHarvester.mergeCounts(result.wordlists, harvest);
+        await this.workspaces.set({ wordlists }, workspaceId);
+      } catch (error) {
+        console.error('Failed to save wordlists:', error);
+      }
+    });
+  }
+
+  // Hostnames mentioned in a script, categorized relative to the script's own domain
+  async saveHosts(hosts, sourceUrl, workspaceId = null) {
+    if (hosts.length === 0) return;
+
+    return this.queueWrite('hosts', async () => {
+      try {
+        const result = await this.workspaces.get(['hosts', 'settings'], workspaceId);
+        const sourceHost = new URL(sourceUrl).hostname;
+        const categorizer = new DomainCategorizer(ScopeRules.getRegistrableDomain(sourceHost));
+
+        const inventory = this.hostInventory.mergeHosts(result.hosts, hosts, {
+          sourceUrl,
+          scopeRules: this.getScopeRules(result.settings || {}),
+          categorizer
+        });
+        await this.workspaces.set({ hosts: inventory }, workspaceId);
+      } catch (error) {
+        console.error('Failed to save host inventory:', error);
+      }
+    });
+  }
+
+  // Buckets and serverless endpoints, one entry per asset across all scripts of the workspace
+  async saveCloudAssets(assets, sourceUrl, workspaceId = null) {
+    if (assets.length === 0) return;
+
+    return this.queueWrite('cloudAssets', async () => {
+      try {
+        const result = await this.workspaces.get(['cloudAssets'], workspaceId);
+        const cloudAssets = this.cloudAssetExtractor.mergeAssets(result.cloudAssets, assets, sourceUrl);
+        await this.workspaces.set({ cloudAssets }, workspaceId);
+      } catch (error) {
+        console.error('Failed to save cloud assets:', error);
+      }
+    });
+  }
+
+  async loadAlertsCount() {
+    try {
+      const result = await chrome.storage.session.get(['alertsCount']);
+      this.alertsCount = result.alertsCount || 0;
+    } catch (error) {
+      console.error('Failed to load alert count:', error);
+    }
+  }
+
+  async setAlertsCount(count) {
+    this.alertsCount = count;
+    await chrome.storage.session.set({ alertsCount: count });
+  }
+
+  async addAlerts(count, color) {
+    await this.alertsLoaded;
+    await this.setAlertsCount(this.alertsCount + count);
+    chrome.action.setBadgeText({ text: this.alertsCount.toString() });
+    chrome.action.setBadgeBackgroundColor({ color });
+  }
 
-      await chrome.storage.local.set({
-        jsFiles: allFiles,
-        lastUpdate: Date.now(),
+  async updateFileCountBadge(count) {
+    await this.alertsLoaded;
+    if (this.alertsCount === 0) {
+      chrome.action.setBadgeText({
+        text: count > 99 ? "99+" : count.toString(),
       });
+      chrome.action.setBadgeBackgroundColor({ color: "#00ff90" });
+    }
+  }
 
-      // Update badge with count (only if no alerts)
-      if (this.alertsCount === 0) {
-        chrome.action.setBadgeText({
-          text: allFiles.length > 99 ? "99+" : allFiles.length.toString(),
+  async queueAnalysis(urls, workspaceId) {
+    try {
+      // Results go to the workspace the script was captured in
+      await this.jobQueue.enqueue(urls, 'analyze', { workspaceId });
+    } catch (error) {
+      console.error('Failed to queue analysis jobs:', error);
+    }
+  }
+
+  async runJob(job, signal) {
+    switch (job.type) {
+      case 'analyze':
+        return this.analyzeJsFile(job.url, signal, job.data.workspaceId);
+      case 'sourcemap':
+        return this.analyzeSourceMap(job.data.scriptUrl, job.url, signal, job.data.workspaceId);
+      default:
+        console.warn('Unknown job type:', job.type);
+    }
+  }
+
+  async analyzeJsFile(url, signal, workspaceId = null) {
+    const result = await this.workspaces.get(['settings'], workspaceId);
+    const settings = result.settings || {};
+
+    const features = [
+      'enableEndpointExtraction', 'enableSecretDetection', 'enableChunkEnumeration',
+      'enableParamHarvesting', 'enableHostInventory', 'enableCloudAssetDiscovery'
+    ];
+    if (features.every(feature => settings[feature] === false)) {
+      return;
+    }
+
+    // Scope may have changed since the job was queued
+    if (!this.getScopeRules(settings).isInScope(url)) {
+      return;
+    }
+
+    const script = await this.fetchScript(url, settings.maxScriptSize, signal);
+    if (!script) return;
+
+    await this.analyzeScriptContent(url, script.content, script.headers, settings, { signal, workspaceId });
+  }
+
+  // Endpoint, secret, wordlist and host analysis of a script body. Offline analysis (HAR import)
+  // only follows inline source maps and doesn't queue lazy chunks for fetching
+  async analyzeScriptContent(url, content, headers, settings, { signal, workspaceId = null, offline = false } = {}) {
+    const timestamp = new Date().toISOString();
+    const harvest = this.paramHarvester.createHarvest();
+
+    if (settings.enableEndpointExtraction !== false) {
+      const endpoints = new LinkFinderLite({ mode: 'ast' }).extractFromJavaScript(content, url, settings.endpointExtractionMode);
+      if (settings.enableParamHarvesting !== false) {
+        this.paramHarvester.harvestEndpoints(endpoints, url, harvest);
+      }
+      if (this.countEndpoints(endpoints) > 0) {
+        await this.saveEndpoints({ url, timestamp, endpoints }, workspaceId);
+      }
+    }
+
+    if (settings.enableSecretDetection !== false) {
+      const secretDetector = await this.createSecretDetector(settings);
+      const secrets = secretDetector.scanForSecrets(content, url);
+      if (secrets.secrets.length > 0) {
+        await this.saveSecrets({ url, timestamp, secrets }, workspaceId);
+      }
+    }
+
+    if (settings.enableParamHarvesting !== false) {
+      this.paramHarvester.harvestScript(content, url, harvest);
+      await this.saveWordlists(harvest, workspaceId);
+    }
+
+    if (settings.enableHostInventory !== false) {
+      await this.saveHosts(this.hostInventory.extractHosts(content), url, workspaceId);
+    }
+
+    if (settings.enableCloudAssetDiscovery !== false) {
+      await this.saveCloudAssets(this.cloudAssetExtractor.extract(content), url, workspaceId);
+    }
+
+    if (settings.enableSourceMaps !== false) {
+      await this.queueSourceMap(url, content, headers, signal, workspaceId, offline);
+    }
+
+    // Lazy chunks the page never loaded are captured like any other script
+    if (settings.enableChunkEnumeration !== false && !offline) {
+      const chunks = this.chunkEnumerator.enumerate(content, url);
+      if (chunks.length > 0) {
+        await this.saveJsFiles(chunks, workspaceId);
+      }
+    }
+  }
+
+  // Per-rule thresholds come from the workspace settings, custom and disabled rules/packs are global
+  async createSecretDetector(settings) {
+    await this.secretDetector.loadBuiltinPacks();
+    const { rules, disabled, disabledPacks } = await this.secretRules.load();
+    const secretDetector = this.secretDetector.createScanner();
+    secretDetector.setRuleThresholds(settings.secretRuleThresholds);
+    secretDetector.setCustomRules(this.secretRules.compileRules(rules));
+    secretDetector.setDisabledRules(disabled);
+    secretDetector.setDisabledPacks(disabledPacks);
+    secretDetector.setLeakDetection(settings.enablePiiDetection === true);
+    return secretDetector;
+  }
+
+  async queueSourceMap(scriptUrl, content, headers, signal, workspaceId, offline = false) {
+    const mapUrl = this.sourceMapAnalyzer.findSourceMapUrl(content, scriptUrl, headers);
+    if (!mapUrl) return;
+
+    if (mapUrl.startsWith('data:')) {
+      // Inline maps are already here, no need for another fetch
+      await this.analyzeSourceMap(scriptUrl, mapUrl, signal, workspaceId);
+    } else if (!offline) {
+      await this.jobQueue.enqueue([mapUrl], 'sourcemap', { workspaceId, scriptUrl });
+    }
+  }
+
+  // Analyze the original sources embedded in a source map
+  async analyzeSourceMap(scriptUrl, mapUrl, signal, workspaceId = null) {
+    const result = await this.workspaces.get(['settings'], workspaceId);
+    const settings = result.settings || {};
+
+    if (settings.enableSourceMaps === false || !this.getScopeRules(settings).isInScope(scriptUrl)) {
+      return;
+    }
+
+    const map = await this.sourceMapAnalyzer.fetchSourceMap(mapUrl, signal);
+    const files = this.sourceMapAnalyzer.reconstructSources(map, mapUrl);
+    const storedMapUrl = mapUrl.startsWith('data:') ? 'inline' : mapUrl;
+    const timestamp = new Date().toISOString();
+    const source = { type: 'sourcemap', mapUrl: storedMapUrl, files: files.length };
+
+    const endpoints = {};
+    const endpointDetails = {};
+    let graphqlOperations = null;
+    const locations = {};
+    const secrets = [];
+    const harvest = this.paramHarvester.createHarvest();
+    const harvesting = settings.enableParamHarvesting !== false;
+    const hosts = new Set();
+    const cloudAssets = [];
+
+    const linkFinder = new LinkFinderLite({ mode: 'ast' });
+    const secretDetector = settings.enableSecretDetection !== false ? await this.createSecretDetector(settings) : null;
+
+    files.forEach(file => {
+      if (harvesting) {
+        this.paramHarvester.harvestScript(file.content, scriptUrl, harvest);
+      }
+
+      if (settings.enableHostInventory !== false) {
+        this.hostInventory.extractHosts(file.content).forEach(host => hosts.add(host));
+      }
+
+      if (settings.enableCloudAssetDiscovery !== false) {
+        cloudAssets.push(...this.cloudAssetExtractor.extract(file.content));
+      }
+
+      if (settings.enableEndpointExtraction !== false) {
+        const extracted = linkFinder.extractFromJavaScript(file.content, file.url, settings.endpointExtractionMode);
+        if (harvesting) {
+          // Original source URLs are webpack:// paths, relative endpoints belong to the script's origin
+          this.paramHarvester.harvestEndpoints(extracted, scriptUrl, harvest);
+        }
+        Object.entries(extracted.endpointDetails || {}).forEach(([value, detail]) => {
+          endpointDetails[value] = endpointDetails[value] || { ...detail, file: file.path };
         });
-        chrome.action.setBadgeBackgroundColor({ color: "#00ff90" });
+        if (extracted.graphqlOperations) {
+          graphqlOperations = this.graphqlExtractor.merge(graphqlOperations, extracted.graphqlOperations);
+        }
+        Object.entries(extracted).forEach(([category, values]) => {
+          if (!Array.isArray(values)) return;
+          endpoints[category] = endpoints[category] || new Set();
+          values.forEach(value => {
+            endpoints[category].add(value);
+            if (!locations[value]) {
+              const line = this.sourceMapAnalyzer.locateLine(file.content, value);
+              locations[value] = { file: file.path, line };
+            }
+          });
+        });
+      }
+
+      if (secretDetector) {
+        const scanned = secretDetector.scanForSecrets(file.content, file.url);
+        scanned.secrets.forEach(secret => {
+          secrets.push({ ...secret, originalFile: file.path, originalLine: secret.line });
+        });
+      }
+    });
+
+    const endpointResults = {
+      metadata: { sourceUrl: scriptUrl, sourceMapUrl: storedMapUrl, extractedAt: timestamp, files: files.length }
+    };
+    Object.entries(endpoints).forEach(([category, values]) => {
+      endpointResults[category] = [...values];
+    });
+    if (Object.keys(endpointDetails).length > 0) {
+      endpointResults.endpointDetails = endpointDetails;
+    }
+    if (graphqlOperations) {
+      endpointResults.graphqlOperations = graphqlOperations;
+    }
+
+    if (this.countEndpoints(endpointResults) > 0) {
+      await this.saveEndpoints({ url: scriptUrl, timestamp, source, endpoints: endpointResults, locations }, workspaceId);
+    }
+
+    if (secrets.length > 0) {
+      await this.saveSecrets({
+        url: scriptUrl,
+        timestamp,
+        source,
+        secrets: {
+          secrets,
+          metadata: { sourceUrl: scriptUrl, sourceMapUrl: storedMapUrl, scannedAt: timestamp, files: files.length }
+        }
+      }, workspaceId);
+    }
+
+    if (harvesting) {
+      await this.saveWordlists(harvest, workspaceId);
+    }
+    await this.saveHosts([...hosts], scriptUrl, workspaceId);
+    await this.saveCloudAssets(cloudAssets, scriptUrl, workspaceId);
+
+    // Only the file list is kept; the popup re-fetches the map for ZIP export
+    await this.saveSourceMap(scriptUrl, {
+      mapUrl: storedMapUrl,
+      files: files.map(file => ({ path: file.path, size: file.size })),
+      analyzedAt: timestamp
+    }, workspaceId);
+  }
+
+  async saveSourceMap(scriptUrl, sourceMapData, workspaceId = null) {
+    return this.queueWrite('sourceMaps', async () => {
+      try {
+        const result = await this.workspaces.get(['sourceMaps'], workspaceId);
+        const sourceMaps = result.sourceMaps || {};
+
+        sourceMaps[scriptUrl] = sourceMapData;
+
+        await this.workspaces.set({ sourceMaps }, workspaceId);
+      } catch (error) {
+        console.error('Failed to save source map:', error);
       }
+    });
+  }
+
+  async fetchScript(url, maxSize = 5 * 1024 * 1024, signal = undefined) {
+    const response = await fetch(url, { credentials: 'omit', cache: 'force-cache', signal });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      // Client errors won't go away on retry (except rate limiting)
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (contentLength > maxSize) {
+      console.log('Skipping large JS file:', url, contentLength);
+      return null;
+    }
+
+    const content = await response.text();
+    return content.length > maxSize ? null : { content, headers: response.headers };
+  }
+
+  broadcastJobProgress(progress) {
+    // Popup may not be open - ignore missing receivers
+    chrome.runtime.sendMessage({ type: 'jobProgress', data: progress }).catch(() => {});
+  }
+
+  async getJobProgress(sendResponse) {
+    try {
+      await this.jobQueue.ready;
+      sendResponse(this.jobQueue.getProgress());
     } catch (error) {
-      console.error("Failed to save JS files:", error);
+      console.error('Failed to get job progress:', error);
+      sendResponse(null);
     }
   }
 
+  countEndpoints(endpoints) {
+    // Persisted GraphQL queries can be the only thing a script references
+    const persistedQueries = endpoints.graphqlOperations?.persistedQueries.length || 0;
+    return Object.values(endpoints)
+      .filter(Array.isArray)
+      .reduce((total, list) => total + list.length, persistedQueries);
+  }
+
   async getEnhancedStats(sendResponse) {
     try {
-      const result = await chrome.storage.local.get([
-        'jsFiles', 'endpoints', 'secrets', 'domainData', 'snapshots'
+      await this.alertsLoaded;
+      const result = await this.workspaces.get([
+        'jsFiles', 'endpoints', 'secrets', 'suppressions', 'domainData', 'snapshots'
       ]);
       
       const jsFiles = result.jsFiles || [];
       const endpoints = result.endpoints || {};
-      const secrets = result.secrets || {};
+      const secrets = this.filterSuppressedSecrets(result.secrets || {}, result.suppressions);
       const domainData = result.domainData || {};
       const snapshots = result.snapshots || {};
 
@@ -312,6 +948,7 @@ class LazyEggEnhancedBackground {
           total: Object.keys(snapshots).length
         },
         alerts: this.alertsCount,
+        workspace: this.workspaces.getActive(),
         lastUpdate: result.lastUpdate || 0,
       };
 
@@ -322,29 +959,201 @@ class LazyEggEnhancedBackground {
     }
   }
 
-  async getEndpoints(sendResponse) {
+  async manageWorkspace(message, sendResponse) {
+    try {
+      switch (message.type) {
+        case "createWorkspace": {
+          // New workspaces inherit the current settings
+          const { settings } = await this.workspaces.get(['settings']);
+          const workspace = await this.workspaces.create(message.name, {
+            ...this.getDefaultSettings(), ...settings
+          });
+          if (message.activate) {
+            await this.activateWorkspace(workspace.id);
+          }
+          break;
+        }
+        case "switchWorkspace":
+          await this.activateWorkspace(message.workspaceId);
+          break;
+        case "renameWorkspace":
+          await this.workspaces.rename(message.workspaceId, message.name);
+          break;
+        case "archiveWorkspace":
+          await this.workspaces.archive(message.workspaceId, message.archived !== false);
+          break;
+        case "deleteWorkspace":
+          // Queued jobs would write the workspace's keys back after it's gone
+          await this.jobQueue.cancelWhere({ workspaceId: message.workspaceId });
+          await this.workspaces.delete(message.workspaceId);
+          break;
+      }
+
+      sendResponse({
+        success: true,
+        activeId: this.workspaces.getActiveId(),
+        workspaces: await this.workspaces.list()
+      });
+    } catch (error) {
+      console.error('Workspace operation failed:', message.type, error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async activateWorkspace(workspaceId) {
+    await this.workspaces.switchTo(workspaceId);
+    await this.initializeWorkspaceStorage(workspaceId);
+
+    // Badge reflects the active workspace only
+    const { jsFiles } = await this.workspaces.get(['jsFiles'], workspaceId);
+    await this.alertsLoaded;
+    await this.setAlertsCount(0);
+    await this.updateFileCountBadge((jsFiles || []).length);
+  }
+
+  async getEndpoints(sendResponse, inScopeOnly = false) {
     try {
-      const result = await chrome.storage.local.get(['endpoints']);
-      sendResponse(result.endpoints || {});
+      const result = await this.workspaces.get(['endpoints', 'settings']);
+      const endpoints = result.endpoints || {};
+      sendResponse(inScopeOnly ? this.filterEndpointsByScope(endpoints, result.settings) : endpoints);
     } catch (error) {
       console.error('Failed to get endpoints:', error);
       sendResponse({});
     }
   }
 
-  async getSecrets(sendResponse) {
+  async getSecrets(sendResponse, inScopeOnly = false, unmasked = false) {
     try {
-      const result = await chrome.storage.local.get(['secrets']);
-      sendResponse(result.secrets || {});
+      const result = await this.workspaces.get(['secrets', 'suppressions', 'settings']);
+      const secrets = this.filterSuppressedSecrets(result.secrets || {}, result.suppressions);
+      const filtered = inScopeOnly ? this.filterSecretsByScope(secrets, result.settings) : secrets;
+      sendResponse(await this.prepareSecretsOutput(filtered, unmasked));
     } catch (error) {
       console.error('Failed to get secrets:', error);
       sendResponse({});
     }
   }
 
+  // Secret values only leave the background when asked for, sealed ones only while the vault is unlocked
+  async prepareSecretsOutput(secrets, unmasked = false) {
+    const findings = Object.values(secrets).flatMap(data => data.secrets.secrets);
+    if (unmasked) {
+      await this.vault.unsealFindings(findings);
+    } else {
+      this.vault.maskFindings(findings);
+    }
+    return secrets;
+  }
+
+  async manageVault(message, sendResponse) {
+    try {
+      switch (message.type) {
+        case "createVault":
+          await this.vault.create(message.passphrase, message.autoLockMinutes);
+          await this.sealStoredSecrets();
+          break;
+        case "unlockVault":
+          await this.vault.unlock(message.passphrase);
+          break;
+        case "lockVault":
+          await this.vault.lock();
+          break;
+        case "setVaultAutoLock":
+          await this.vault.setAutoLockMinutes(message.autoLockMinutes);
+          break;
+        case "disableVault":
+          // Throws while locked, nothing is removed until every value is decrypted
+          await this.unsealStoredSecrets();
+          await this.vault.destroy();
+          break;
+      }
+
+      await this.configureIdleDetection();
+      sendResponse({ success: true, ...(await this.vault.getStatus()) });
+    } catch (error) {
+      console.error('Vault operation failed:', message.type, error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // The vault is global, so findings in every workspace are (un)sealed
+  async sealStoredSecrets() {
+    return this.queueWrite('secrets', async () => {
+      for (const workspace of await this.workspaces.list()) {
+        const { secrets = {} } = await this.workspaces.get(['secrets'], workspace.id);
+        // Fingerprints of old findings need the plain value
+        this.filterSuppressedSecrets(secrets);
+        for (const data of Object.values(secrets)) {
+          await this.vault.sealFindings(data.secrets.secrets);
+        }
+        await this.workspaces.set({ secrets }, workspace.id);
+      }
+    });
+  }
+
+  async unsealStoredSecrets() {
+    return this.queueWrite('secrets', async () => {
+      const workspaces = await this.workspaces.list();
+      const unsealed = [];
+      for (const workspace of workspaces) {
+        const { secrets = {} } = await this.workspaces.get(['secrets'], workspace.id);
+        for (const data of Object.values(secrets)) {
+          await this.vault.unsealFindings(data.secrets.secrets);
+        }
+        unsealed.push([workspace.id, secrets]);
+      }
+
+      for (const [workspaceId, secrets] of unsealed) {
+        await this.workspaces.set({ secrets }, workspaceId);
+      }
+    });
+  }
+
+  // Suppressions are per workspace; the popup suppresses by fingerprint at file, host or global scope
+  async manageSuppressions(message, sendResponse) {
+    try {
+      const result = await this.workspaces.get(['suppressions']);
+      let suppressions = result.suppressions || [];
+
+      switch (message.type) {
+        case "suppressSecret":
+          suppressions = this.suppressions.add(suppressions, this.suppressions.create(message.fingerprint, {
+            scope: message.scope,
+            status: message.status,
+            note: message.note || '',
+            maskedValue: message.maskedValue || ''
+          }));
+          await this.workspaces.set({ suppressions });
+          break;
+        case "unsuppressSecret":
+          suppressions = this.suppressions.remove(suppressions, message.id);
+          await this.workspaces.set({ suppressions });
+          break;
+      }
+
+      sendResponse({ success: true, suppressions });
+    } catch (error) {
+      console.error('Suppression operation failed:', message.type, error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Findings stored before fingerprints existed get one on read
+  filterSuppressedSecrets(secrets, suppressions = []) {
+    Object.values(secrets).forEach(data => {
+      data.secrets.secrets.forEach(secret => {
+        if (!secret.fingerprint && secret.fullValue) {
+          const rule = secret.rule || (secret.subtype ? `${secret.category}.${secret.subtype}` : secret.category);
+          secret.fingerprint = this.secretDetector.getFingerprint(rule, secret.fullValue, secret.sourceUrl || data.url);
+        }
+      });
+    });
+    return this.suppressions.filterSecrets(secrets, suppressions);
+  }
+
   async getDomainData(sendResponse) {
     try {
-      const result = await chrome.storage.local.get(['domainData']);
+      const result = await this.workspaces.get(['domainData']);
       sendResponse(result.domainData || {});
     } catch (error) {
       console.error('Failed to get domain data:', error);
@@ -354,7 +1163,7 @@ class LazyEggEnhancedBackground {
 
   async getSnapshots(sendResponse) {
     try {
-      const result = await chrome.storage.local.get(['snapshots']);
+      const result = await this.workspaces.get(['snapshots']);
       sendResponse(result.snapshots || {});
     } catch (error) {
       console.error('Failed to get snapshots:', error);
@@ -362,24 +1171,121 @@ class LazyEggEnhancedBackground {
     }
   }
 
-  async exportData(format, dataType, sendResponse) {
+  // Export a stored snapshot (HAR 1.2, JSON, CSV or text)
+  async exportSnapshot(snapshotId, format = 'har', sendResponse) {
+    try {
+      const result = await this.workspaces.get(['snapshots']);
+      const stored = (result.snapshots || {})[snapshotId];
+      if (!stored) {
+        throw new Error('Snapshot not found');
+      }
+
+      const engine = new DomainSnapshotEngine();
+      let data;
+      switch (format) {
+        case 'har':
+          data = JSON.stringify(engine.exportSnapshotAsHAR(stored), null, 2);
+          break;
+        case 'csv':
+          data = engine.exportSnapshotAsCSV(stored);
+          break;
+        case 'txt':
+          data = engine.exportSnapshotAsText(stored);
+          break;
+        default:
+          data = JSON.stringify(stored, null, 2);
+      }
+
+      sendResponse({ success: true, data });
+    } catch (error) {
+      console.error('Failed to export snapshot:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Create a snapshot from a HAR file and run the JS bodies inside it through the analysis engines
+  async importHAR(har, sendResponse) {
+    try {
+      await this.workspaces.ready;
+      const workspaceId = this.workspaces.getActiveId();
+
+      const engine = new DomainSnapshotEngine();
+      const { snapshotId, scripts } = engine.importHAR(har);
+      await this.saveSnapshot({ snapshotId, ...JSON.parse(engine.exportSnapshot(snapshotId, 'json')) }, workspaceId);
+
+      const result = await this.workspaces.get(['settings'], workspaceId);
+      const settings = result.settings || {};
+      const scopeRules = this.getScopeRules(settings);
+      const maxSize = settings.maxScriptSize || 5 * 1024 * 1024;
+      const inScope = scripts.filter(script => scopeRules.isInScope(script.url) && script.content.length <= maxSize);
+
+      // The bodies are already here, so the scripts are recorded without queueing a fetch
+      await this.saveJsFiles(inScope.map(script => script.url), workspaceId, { analyze: false });
+
+      for (const script of inScope) {
+        let headers = null;
+        try {
+          headers = new Headers(script.headers.map(header => [header.name, header.value]));
+        } catch {
+          // Malformed header names in the HAR, only the body is used
+        }
+        await this.analyzeScriptContent(script.url, script.content, headers, settings, { workspaceId, offline: true });
+      }
+
+      sendResponse({
+        success: true,
+        snapshotId,
+        analyzed: inScope.length,
+        skipped: scripts.length - inScope.length
+      });
+    } catch (error) {
+      console.error('Failed to import HAR:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async exportData(format, dataType, sendResponse, includeUnmasked = false) {
     try {
       let data = {};
       
       switch (dataType) {
         case 'endpoints':
-          const endpointsResult = await chrome.storage.local.get(['endpoints']);
-          data = this.formatEndpointsForExport(endpointsResult.endpoints || {}, format);
+          const endpointsResult = await this.workspaces.get(['endpoints', 'settings']);
+          data = this.formatEndpointsForExport(
+            this.filterEndpointsByScope(endpointsResult.endpoints || {}, endpointsResult.settings),
+            format
+          );
           break;
         case 'secrets':
-          const secretsResult = await chrome.storage.local.get(['secrets']);
-          data = this.formatSecretsForExport(secretsResult.secrets || {}, format);
+          const secretsResult = await this.workspaces.get(['secrets', 'suppressions', 'settings']);
+          data = this.formatSecretsForExport(
+            await this.prepareSecretsOutput(this.filterSecretsByScope(
+              this.filterSuppressedSecrets(secretsResult.secrets || {}, secretsResult.suppressions),
+              secretsResult.settings
+            ), includeUnmasked),
+            format
+          );
           break;
         case 'all':
-          const allResult = await chrome.storage.local.get([
-            'jsFiles', 'endpoints', 'secrets', 'domainData', 'snapshots'
+          const allResult = await this.workspaces.get([
+            'jsFiles', 'endpoints', 'secrets', 'suppressions', 'domainData', 'snapshots', 'settings'
           ]);
-          data = this.formatAllDataForExport(allResult, format);
+          const scopeRules = this.getScopeRules(allResult.settings);
+          data = this.formatAllDataForExport({
+            jsFiles: (allResult.jsFiles || []).filter(url => scopeRules.isInScope(url)),
+            endpoints: this.filterEndpointsByScope(allResult.endpoints || {}, allResult.settings),
+            secrets: await this.prepareSecretsOutput(this.filterSecretsByScope(
+              this.filterSuppressedSecrets(allResult.secrets || {}, allResult.suppressions),
+              allResult.settings
+            ), includeUnmasked),
+            // Domain data is keyed by `<domain>_<timestamp>`, snapshots carry their page URL
+            domainData: Object.fromEntries(Object.entries(allResult.domainData || {}).filter(([key]) =>
+              scopeRules.isInScope(`https://${key.slice(0, key.lastIndexOf('_'))}/`)
+            )),
+            snapshots: Object.fromEntries(Object.entries(allResult.snapshots || {}).filter(([, data]) =>
+              data.snapshot?.url && scopeRules.isInScope(data.snapshot.url)
+            ))
+          }, format);
           break;
       }
       
@@ -390,27 +1296,48 @@ class LazyEggEnhancedBackground {
     }
   }
 
+  // Drop out-of-scope endpoints (relative ones resolve against their script)
+  filterEndpointsByScope(endpoints, settings = {}) {
+    const scopeRules = this.getScopeRules(settings);
+    const filtered = {};
+
+    Object.entries(endpoints).forEach(([key, data]) => {
+      const eps = {};
+      Object.entries(data.endpoints || {}).forEach(([category, categoryEndpoints]) => {
+        eps[category] = Array.isArray(categoryEndpoints)
+          ? categoryEndpoints.filter(endpoint => scopeRules.isInScope(endpoint, data.url))
+          : categoryEndpoints;
+      });
+      if (eps.endpointDetails) {
+        eps.endpointDetails = Object.fromEntries(
+          Object.entries(eps.endpointDetails).filter(([endpoint]) => scopeRules.isInScope(endpoint, data.url))
+        );
+      }
+      if (eps.graphqlOperations) {
+        eps.graphqlOperations = {
+          ...eps.graphqlOperations,
+          endpoints: eps.graphqlOperations.endpoints.filter(endpoint => scopeRules.isInScope(endpoint, data.url))
+        };
+      }
+      filtered[key] = { ...data, endpoints: eps };
+    });
+
+    return filtered;
+  }
+
+  filterSecretsByScope(secrets, settings = {}) {
+    const scopeRules = this.getScopeRules(settings);
+    return Object.fromEntries(
+      Object.entries(secrets).filter(([key, data]) => scopeRules.isInScope(data.url))
+    );
+  }
+
   formatEndpointsForExport(endpoints, format) {
     if (format === 'burp') {
-      const burpData = [];
-      Object.values(endpoints).forEach(data => {
-        const eps = data.endpoints;
-        Object.entries(eps).forEach(([category, categoryEndpoints]) => {
-          if (Array.isArray(categoryEndpoints)) {
-            categoryEndpoints.forEach(endpoint => {
-              burpData.push({
-                url: endpoint,
-                method: 'GET',
-                source: data.url,
-                category: category,
-                type: 'endpoint',
-                extractedAt: data.timestamp
-              });
-            });
-          }
-        });
-      });
-      return JSON.stringify(burpData, null, 2);
+      return this.burpExporter.buildItemsXml(endpoints);
+    }
+    if (format === 'burp-urls') {
+      return this.burpExporter.buildUrlList(endpoints);
     }
     
     return JSON.stringify(endpoints, null, 2);
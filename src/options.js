@@ -0,0 +1,383 @@
+// Options page for Lazy Egg JS Watcher - secret rule manager
+
+class LazyEggOptions {
+  constructor() {
+    this.ruleManager = new SecretRuleManager();
+    this.state = { rules: [], disabled: [], disabledPacks: [] };
+    // ID of the rule in the editor, null for a new one
+    this.editingId = null;
+    this.editorRule = null;
+    this.rejected = [];
+
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    this.state = await this.ruleManager.load();
+    await this.ruleManager.detector.loadBuiltinPacks();
+    this.render();
+  }
+
+  setupEventListeners() {
+    document.getElementById("new-rule-btn").addEventListener("click", () => this.openEditor());
+    document.getElementById("save-rule-btn").addEventListener("click", () => this.saveRule());
+    document.getElementById("test-rule-btn").addEventListener("click", () => this.testRule());
+    document.getElementById("cancel-rule-btn").addEventListener("click", () => this.closeEditor());
+
+    document
+      .getElementById("import-rules-btn")
+      .addEventListener("click", () => document.getElementById("rules-file-input").click());
+    document.getElementById("rules-file-input").addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await this.importRules(file);
+        e.target.value = "";
+      }
+    });
+    document
+      .getElementById("export-json-btn")
+      .addEventListener("click", () =>
+        this.download(this.ruleManager.exportJson(this.state), "lazy-egg-secret-rules.json", "application/json")
+      );
+    document
+      .getElementById("export-toml-btn")
+      .addEventListener("click", () =>
+        this.download(this.ruleManager.exportToml(this.state.rules), "gitleaks.toml", "application/toml")
+      );
+
+    document.getElementById("custom-rules-list").addEventListener("click", (e) => this.handleRuleAction(e));
+    document.getElementById("custom-rules-list").addEventListener("change", (e) => this.handleRuleToggle(e));
+    document.getElementById("builtin-rules-list").addEventListener("change", (e) => this.handleBuiltinToggle(e));
+    document.getElementById("rejected-rules").addEventListener("click", (e) => {
+      const index = e.target.dataset.rejected;
+      if (index !== undefined) {
+        this.openEditor(this.rejected[index].rule, true);
+      }
+    });
+  }
+
+  render() {
+    this.renderCustomRules();
+    this.renderBuiltinRules();
+    this.renderRejected();
+  }
+
+  renderCustomRules() {
+    const list = document.getElementById("custom-rules-list");
+    list.innerHTML = "";
+
+    if (this.state.rules.length === 0) {
+      list.innerHTML = '<li class="rule-item">No custom rules yet - add one or import a gitleaks config.</li>';
+      return;
+    }
+
+    this.state.rules.forEach((rule) => {
+      const li = document.createElement("li");
+      li.className = `rule-item${rule.enabled ? "" : " disabled"}`;
+      li.innerHTML = `
+        <label class="checkbox-label" title="Enabled">
+          <input type="checkbox" data-id="${this.escapeHtml(rule.id)}" ${rule.enabled ? "checked" : ""}>
+          <span class="checkmark"></span>
+        </label>
+        <span class="rule-name">${this.escapeHtml(rule.name)}<span class="rule-id">${this.escapeHtml(rule.id)}</span></span>
+        <span class="severity-badge severity-${rule.severity}">${rule.severity}</span>
+        <span class="workspace-actions">
+          <button class="btn-text" data-action="edit" data-id="${this.escapeHtml(rule.id)}">Edit</button>
+          <button class="btn-text" data-action="delete" data-id="${this.escapeHtml(rule.id)}">Delete</button>
+        </span>
+      `;
+      list.appendChild(li);
+    });
+  }
+
+  // Rules grouped by pack; turning a pack off skips all of its rules
+  renderBuiltinRules() {
+    const list = document.getElementById("builtin-rules-list");
+    const disabled = new Set(this.state.disabled);
+    const disabledPacks = new Set(this.state.disabledPacks);
+    list.innerHTML = "";
+
+    this.ruleManager.getBuiltinPacks().forEach((pack) => {
+      const packEnabled = !disabledPacks.has(pack.id);
+      const header = document.createElement("li");
+      header.className = `rule-item pack-item${packEnabled ? "" : " disabled"}`;
+      header.innerHTML = `
+        <label class="checkbox-label" title="Pack enabled">
+          <input type="checkbox" data-pack="${pack.id}" ${packEnabled ? "checked" : ""}>
+          <span class="checkmark"></span>
+        </label>
+        <span class="rule-name">${this.escapeHtml(pack.name)}<span class="rule-id">${pack.id} v${pack.version}</span>
+          <span class="pack-description">${this.escapeHtml(pack.description)}</span>
+        </span>
+      `;
+      list.appendChild(header);
+
+      pack.rules.forEach((rule) => {
+        const enabled = !disabled.has(rule.id);
+        const li = document.createElement("li");
+        li.className = `rule-item pack-rule${enabled && packEnabled ? "" : " disabled"}`;
+        li.innerHTML = `
+          <label class="checkbox-label" title="Enabled">
+            <input type="checkbox" data-id="${rule.id}" ${enabled ? "checked" : ""} ${packEnabled ? "" : "disabled"}>
+            <span class="checkmark"></span>
+          </label>
+          <span class="rule-name">${this.escapeHtml(rule.name)}<span class="rule-id">${rule.id}</span></span>
+          <span class="severity-badge severity-${rule.severity}">${rule.severity}</span>
+        `;
+        list.appendChild(li);
+      });
+    });
+  }
+
+  renderRejected() {
+    const container = document.getElementById("rejected-rules");
+    container.innerHTML = "";
+    container.classList.toggle("hidden", this.rejected.length === 0);
+    if (this.rejected.length === 0) return;
+
+    const header = document.createElement("div");
+    header.textContent = `${this.rejected.length} rule(s) not imported - fix them in the editor:`;
+    container.appendChild(header);
+
+    this.rejected.forEach(({ rule, errors }, index) => {
+      const item = document.createElement("div");
+      item.className = "rule-item";
+      item.innerHTML = `
+        <span class="rule-name">${this.escapeHtml(rule.id || "(no id)")}: ${this.escapeHtml(errors.join("; "))}</span>
+        <button class="btn-text" data-rejected="${index}">Fix</button>
+      `;
+      container.appendChild(item);
+    });
+  }
+
+  async handleRuleAction(e) {
+    const { action, id } = e.target.dataset;
+    const rule = this.state.rules.find((candidate) => candidate.id === id);
+    if (!action || !rule) return;
+
+    if (action === "edit") {
+      this.openEditor(rule);
+    } else if (action === "delete" && confirm(`Delete rule ${rule.id}?`)) {
+      this.state.rules = this.state.rules.filter((candidate) => candidate.id !== id);
+      await this.persist(`Deleted ${rule.id}`);
+    }
+  }
+
+  async handleRuleToggle(e) {
+    const rule = this.state.rules.find((candidate) => candidate.id === e.target.dataset.id);
+    if (!rule) return;
+
+    rule.enabled = e.target.checked;
+    await this.persist(`${rule.id} ${rule.enabled ? "enabled" : "disabled"}`);
+  }
+
+  async handleBuiltinToggle(e) {
+    const { id, pack } = e.target.dataset;
+    if (pack) {
+      const disabledPacks = new Set(this.state.disabledPacks);
+      if (e.target.checked) disabledPacks.delete(pack);
+      else disabledPacks.add(pack);
+      this.state.disabledPacks = [...disabledPacks];
+      await this.persist(`${pack} pack ${e.target.checked ? "enabled" : "disabled"}`);
+      return;
+    }
+    if (!id) return;
+
+    const disabled = new Set(this.state.disabled);
+    if (e.target.checked) disabled.delete(id);
+    else disabled.add(id);
+    this.state.disabled = [...disabled];
+    await this.persist(`${id} ${e.target.checked ? "enabled" : "disabled"}`);
+  }
+
+  // A fixed rejected rule is new even though it has an ID
+  openEditor(rule = null, isNew = false) {
+    const value = rule || this.ruleManager.normalizeRule({});
+    this.editingId = rule && !isNew ? rule.id : null;
+    this.editorRule = value;
+
+    document.getElementById("rule-editor-title").textContent = this.editingId ? `Edit ${rule.id}` : "New rule";
+    document.getElementById("rule-id").value = value.id;
+    document.getElementById("rule-name").value = value.name;
+    document.getElementById("rule-severity").value = value.severity;
+    document.getElementById("rule-secret-group").value = value.secretGroup;
+    document.getElementById("rule-regex").value = value.regex;
+    document.getElementById("rule-ignore-case").checked = value.flags.includes("i");
+    document.getElementById("rule-keywords").value = value.keywords.join(", ");
+    document.getElementById("rule-entropy").value = value.minEntropy ?? "";
+    document.getElementById("rule-allowlist-regexes").value = value.allowlist.regexes.join("\n");
+    document.getElementById("rule-allowlist-target").value = value.allowlist.regexTarget;
+    document.getElementById("rule-stopwords").value = value.allowlist.stopwords.join(", ");
+    document.getElementById("rule-tests").value = value.tests.join("\n");
+    this.showErrors([]);
+
+    const editor = document.getElementById("rule-editor");
+    editor.classList.remove("hidden");
+    editor.scrollIntoView({ behavior: "smooth" });
+  }
+
+  closeEditor() {
+    this.editingId = null;
+    this.editorRule = null;
+    document.getElementById("rule-editor").classList.add("hidden");
+  }
+
+  readEditor() {
+    const lines = (id) => document.getElementById(id).value.split("\n");
+    const commaList = (id) => document.getElementById(id).value.split(",");
+    // Fields the form doesn't show (tags, description, other regex flags) are kept
+    const base = this.editorRule || {};
+    const otherFlags = (base.flags || "").replace("i", "");
+
+    return this.ruleManager.normalizeRule({
+      ...base,
+      id: document.getElementById("rule-id").value,
+      name: document.getElementById("rule-name").value,
+      severity: document.getElementById("rule-severity").value,
+      secretGroup: document.getElementById("rule-secret-group").value,
+      regex: document.getElementById("rule-regex").value,
+      flags: otherFlags + (document.getElementById("rule-ignore-case").checked ? "i" : ""),
+      keywords: commaList("rule-keywords"),
+      minEntropy: document.getElementById("rule-entropy").value,
+      allowlist: {
+        regexes: lines("rule-allowlist-regexes"),
+        stopwords: commaList("rule-stopwords"),
+        regexTarget: document.getElementById("rule-allowlist-target").value,
+      },
+      tests: lines("rule-tests"),
+    });
+  }
+
+  showErrors(errors, successMessages = []) {
+    const list = document.getElementById("rule-errors");
+    list.innerHTML = "";
+    errors.forEach((error) => {
+      const li = document.createElement("li");
+      li.textContent = error;
+      list.appendChild(li);
+    });
+    successMessages.forEach((message) => {
+      const li = document.createElement("li");
+      li.className = "ok";
+      li.textContent = message;
+      list.appendChild(li);
+    });
+  }
+
+  async saveRule() {
+    const rule = this.readEditor();
+    const errors = this.ruleManager.validateRule(rule);
+    if (rule.id !== this.editingId && this.state.rules.some((candidate) => candidate.id === rule.id)) {
+      errors.unshift(`A rule with ID ${rule.id} already exists`);
+    }
+
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    const index = this.state.rules.findIndex((candidate) => candidate.id === this.editingId);
+    if (index === -1) {
+      this.state.rules.push(rule);
+    } else {
+      this.state.rules[index] = rule;
+    }
+    this.rejected = this.rejected.filter((entry) => entry.rule.id !== rule.id);
+
+    this.closeEditor();
+    await this.persist(`Saved ${rule.id}`);
+  }
+
+  // Show what each test string produces without saving
+  testRule() {
+    const rule = this.readEditor();
+    const errors = this.ruleManager.validateRule(rule).filter((error) => !/^ID /.test(error));
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    const compiled = this.ruleManager.compileRule(rule);
+    const results = rule.tests.map((test, index) => {
+      const findings = this.ruleManager.detector.scanRule(test, "custom", rule.id || "test", compiled, "");
+      const values = findings.map((finding) => `${finding.value} (${Math.round(finding.confidence * 100)}%)`);
+      return `Test ${index + 1}: ${values.join(", ")}`;
+    });
+    this.showErrors([], results);
+  }
+
+  async importRules(file) {
+    try {
+      const { accepted, rejected, disabled, disabledPacks } = this.ruleManager.importPack(await file.text());
+
+      this.state.rules = this.ruleManager.mergeRules(this.state.rules, accepted);
+      this.state.disabled = [...new Set([...this.state.disabled, ...disabled])];
+      this.state.disabledPacks = [...new Set([...this.state.disabledPacks, ...disabledPacks])];
+      this.rejected = rejected;
+
+      await this.persist(
+        `Imported ${accepted.length} rule(s)` + (rejected.length ? `, ${rejected.length} rejected` : ""),
+        rejected.length > 0 && accepted.length === 0 ? "error" : "success"
+      );
+    } catch (error) {
+      console.error("Rule import failed:", error);
+      this.showNotification(`Import failed: ${error.message}`, "error");
+    }
+  }
+
+  async persist(message, type = "success") {
+    try {
+      await this.ruleManager.save(this.state);
+      this.render();
+      this.showNotification(message, type);
+    } catch (error) {
+      console.error("Saving rules failed:", error);
+      this.showNotification("Save failed!", "error");
+    }
+  }
+
+  download(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  showNotification(message, type = "success") {
+    const notification = document.createElement("div");
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      background: ${type === "error" ? "#ff4757" : "#00ff90"};
+      color: ${type === "error" ? "#fff" : "#000"};
+      padding: 12px 16px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 500;
+      z-index: 2000;
+    `;
+
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 3000);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new LazyEggOptions();
+});
@@ -12,15 +12,25 @@ class LazyEggPopup {
     this.currentTab = 'files';
     this.securityAnalyzer = new SecurityAnalyzer();
     this.securityReport = null;
+    this.secretFindings = [];
+    this.suppressions = [];
+    this.cloudAssets = [];
+    this.vaultStatus = { enabled: false, unlocked: false };
+    this.revealSecrets = false;
+    this.jobProgress = null;
+    this.workspaces = new WorkspaceStore();
+    this.workspaceList = [];
 
     this.init();
   }
 
   async init() {
     this.setupEventListeners();
+    await this.loadWorkspaces();
     await this.loadSettings();
     await this.loadData();
     this.render();
+    this.loadJobProgress();
   }
 
   setupEventListeners() {
@@ -49,6 +59,37 @@ class LazyEggPopup {
     document
       .getElementById("export-txt-btn")
       .addEventListener("click", () => this.exportFiles("txt"));
+    document
+      .getElementById("export-sources-btn")
+      .addEventListener("click", () => this.exportSourceTree());
+    document
+      .getElementById("export-wordlists-btn")
+      .addEventListener("click", () => this.exportWordlists());
+    document
+      .getElementById("export-hosts-btn")
+      .addEventListener("click", () => this.exportHostList());
+    document
+      .getElementById("export-cloud-btn")
+      .addEventListener("click", () => this.exportCloudAssets());
+    document
+      .getElementById("export-graphql-btn")
+      .addEventListener("click", () => this.exportGraphQL());
+    document
+      .getElementById("export-endpoints-btn")
+      .addEventListener("click", () => this.exportEndpoints());
+    document
+      .getElementById("export-har-btn")
+      .addEventListener("click", () => this.exportHAR());
+    document
+      .getElementById("import-har-btn")
+      .addEventListener("click", () => document.getElementById("har-file-input").click());
+    document.getElementById("har-file-input").addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await this.importHAR(file);
+        e.target.value = "";
+      }
+    });
     document
       .getElementById("copy-btn")
       .addEventListener("click", () => this.copyToClipboard());
@@ -63,6 +104,42 @@ class LazyEggPopup {
     document
       .getElementById("export-security-btn")
       .addEventListener("click", () => this.exportSecurityReport());
+    document.getElementById("show-low-confidence").addEventListener("change", async (e) => {
+      this.settings = { ...this.settings, showLowConfidenceSecrets: e.target.checked };
+      await this.workspaces.set({ settings: this.settings });
+      this.renderSecurityView();
+    });
+    document.getElementById("hide-pattern-only").addEventListener("change", async (e) => {
+      this.settings = { ...this.settings, hidePatternOnlySecrets: e.target.checked };
+      await this.workspaces.set({ settings: this.settings });
+      this.renderSecurityView();
+    });
+    document.getElementById("reveal-secrets").addEventListener("change", async (e) => {
+      this.revealSecrets = e.target.checked;
+      await this.loadSecrets();
+      this.renderSecurityView();
+      if (this.revealSecrets && !this.canUnmask()) {
+        this.showNotification("Unlock the vault to reveal values", "error");
+      }
+    });
+    document.getElementById("unlock-vault-btn").addEventListener("click", () => this.unlockVault());
+    document.getElementById("vault-unlock-passphrase").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.unlockVault();
+      }
+    });
+    document.getElementById("lock-vault-btn").addEventListener("click", () => this.lockVault());
+    document.getElementById("export-secrets-btn").addEventListener("click", () => this.exportSecrets());
+    document.getElementById("secret-findings").addEventListener("change", (e) => {
+      if (e.target.classList.contains("suppress-select") && e.target.value) {
+        this.suppressFinding(e.target.dataset.fingerprint, e.target.value, e.target.dataset.masked);
+      }
+    });
+    document.getElementById("secret-findings").addEventListener("click", (e) => {
+      if (e.target.dataset.suppression) {
+        this.unsuppressFinding(e.target.dataset.suppression);
+      }
+    });
 
     // View toggle
     document.getElementById("toggle-view").addEventListener("click", () => {
@@ -83,6 +160,26 @@ class LazyEggPopup {
     document
       .getElementById("cancel-settings")
       .addEventListener("click", () => this.closeSettings());
+    document
+      .getElementById("manage-secret-rules-btn")
+      .addEventListener("click", () => chrome.runtime.openOptionsPage());
+    document.getElementById("enable-vault-btn").addEventListener("click", () => this.enableVault());
+    document.getElementById("disable-vault-btn").addEventListener("click", () => this.disableVault());
+    document.getElementById("vault-auto-lock").addEventListener("change", (e) => {
+      this.setVaultAutoLock(parseInt(e.target.value, 10));
+    });
+
+    document
+      .getElementById("import-vuln-db-btn")
+      .addEventListener("click", () => document.getElementById("vuln-db-file-input").click());
+    document.getElementById("vuln-db-file-input").addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await this.importVulnerabilityDb(file);
+        e.target.value = "";
+      }
+    });
+    document.getElementById("reset-vuln-db-btn").addEventListener("click", () => this.resetVulnerabilityDb());
 
     // Close modal on outside click
     document.getElementById("settings-modal").addEventListener("click", (e) => {
@@ -90,31 +187,291 @@ class LazyEggPopup {
         this.closeSettings();
       }
     });
+
+    // Scope import
+    document
+      .getElementById("import-scope-btn")
+      .addEventListener("click", () => {
+        this.importScope(document.getElementById("scope-import").value);
+      });
+    document
+      .getElementById("import-scope-file-btn")
+      .addEventListener("click", () => document.getElementById("scope-file-input").click());
+    document.getElementById("scope-file-input").addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.importScope(await file.text());
+        e.target.value = "";
+      }
+    });
+
+    // Workspaces
+    document.getElementById("workspace-select").addEventListener("change", (e) => {
+      this.switchWorkspace(e.target.value);
+    });
+    document
+      .getElementById("manage-workspaces-btn")
+      .addEventListener("click", () => this.openWorkspaces());
+    document
+      .getElementById("close-workspaces-modal")
+      .addEventListener("click", () => this.closeWorkspaces());
+    document
+      .getElementById("create-workspace-btn")
+      .addEventListener("click", () => this.createWorkspace());
+    document.getElementById("workspaces-list").addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (button) {
+        this.handleWorkspaceAction(button.dataset.action, button.dataset.id);
+      }
+    });
+
+    // Background analysis progress
+    document
+      .getElementById("cancel-jobs-btn")
+      .addEventListener("click", () => this.cancelJobs());
+    document
+      .getElementById("retry-jobs-btn")
+      .addEventListener("click", () => this.retryFailedJobs());
+
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === "jobProgress") {
+        this.renderJobProgress(message.data);
+      }
+    });
+  }
+
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  async loadWorkspaces() {
+    const response = await this.sendMessage({ type: "getWorkspaces" });
+    if (response?.success) {
+      this.workspaceList = response.workspaces;
+    }
+    await this.workspaces.reload();
+    this.renderWorkspaceSelect();
+  }
+
+  renderWorkspaceSelect() {
+    const select = document.getElementById("workspace-select");
+    const activeId = this.workspaces.getActiveId();
+    select.innerHTML = "";
+
+    this.workspaceList
+      .filter((workspace) => !workspace.archived)
+      .forEach((workspace) => {
+        const option = document.createElement("option");
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        option.selected = workspace.id === activeId;
+        select.appendChild(option);
+      });
+  }
+
+  async switchWorkspace(workspaceId) {
+    const response = await this.sendMessage({ type: "switchWorkspace", workspaceId });
+    if (!response?.success) {
+      this.showNotification(response?.error || "Switch failed!", "error");
+      this.renderWorkspaceSelect();
+      return;
+    }
+
+    this.workspaceList = response.workspaces;
+    await this.workspaces.reload();
+    await this.reloadWorkspaceData();
+    this.showNotification(`Switched to ${this.workspaces.getActive().name}`);
+  }
+
+  // Reload everything that is scoped to the active workspace
+  async reloadWorkspaceData() {
+    this.securityReport = null;
+    this.renderWorkspaceSelect();
+    await this.loadSettings();
+    await this.loadData();
+
+    if (this.currentTab === "security") {
+      this.renderSecurityView();
+    } else {
+      this.render();
+    }
+  }
+
+  openWorkspaces() {
+    this.renderWorkspacesList();
+    document.getElementById("workspaces-modal").classList.remove("hidden");
+  }
+
+  closeWorkspaces() {
+    document.getElementById("workspaces-modal").classList.add("hidden");
+  }
+
+  renderWorkspacesList() {
+    const list = document.getElementById("workspaces-list");
+    const activeId = this.workspaces.getActiveId();
+    list.innerHTML = "";
+
+    this.workspaceList.forEach((workspace) => {
+      const isActive = workspace.id === activeId;
+      const li = document.createElement("li");
+      li.className = `workspace-item${workspace.archived ? " archived" : ""}`;
+
+      li.innerHTML = `
+        <span class="workspace-name">${this.escapeHtml(workspace.name)}${
+          isActive ? " (active)" : workspace.archived ? " (archived)" : ""
+        }</span>
+        <span class="workspace-actions">
+          <button class="btn-text" data-action="rename" data-id="${workspace.id}">Rename</button>
+          ${isActive ? "" : `
+          <button class="btn-text" data-action="${workspace.archived ? "unarchive" : "archive"}" data-id="${workspace.id}">${workspace.archived ? "Unarchive" : "Archive"}</button>
+          <button class="btn-text" data-action="delete" data-id="${workspace.id}">Delete</button>`}
+        </span>
+      `;
+
+      list.appendChild(li);
+    });
+  }
+
+  async createWorkspace() {
+    const input = document.getElementById("new-workspace-name");
+    const response = await this.sendMessage({
+      type: "createWorkspace",
+      name: input.value,
+      activate: true,
+    });
+
+    if (!response?.success) {
+      this.showNotification(response?.error || "Create failed!", "error");
+      return;
+    }
+
+    input.value = "";
+    this.workspaceList = response.workspaces;
+    await this.workspaces.reload();
+    await this.reloadWorkspaceData();
+    this.renderWorkspacesList();
+    this.showNotification(`Workspace ${this.workspaces.getActive().name} created!`);
+  }
+
+  async handleWorkspaceAction(action, workspaceId) {
+    const workspace = this.workspaceList.find((item) => item.id === workspaceId);
+    if (!workspace) return;
+
+    let message;
+    switch (action) {
+      case "rename": {
+        const name = prompt("New workspace name:", workspace.name);
+        if (name === null) return;
+        message = { type: "renameWorkspace", workspaceId, name };
+        break;
+      }
+      case "archive":
+      case "unarchive":
+        message = { type: "archiveWorkspace", workspaceId, archived: action === "archive" };
+        break;
+      case "delete":
+        if (!confirm(`Delete workspace "${workspace.name}" and all of its data?`)) return;
+        message = { type: "deleteWorkspace", workspaceId };
+        break;
+      default:
+        return;
+    }
+
+    const response = await this.sendMessage(message);
+    if (!response?.success) {
+      this.showNotification(response?.error || "Workspace update failed!", "error");
+      return;
+    }
+
+    this.workspaceList = response.workspaces;
+    await this.workspaces.reload();
+    this.renderWorkspaceSelect();
+    this.renderWorkspacesList();
+  }
+
+  loadJobProgress() {
+    chrome.runtime.sendMessage({ type: "getJobProgress" }, (progress) => {
+      if (chrome.runtime.lastError) return;
+      this.renderJobProgress(progress);
+    });
+  }
+
+  renderJobProgress(progress) {
+    this.jobProgress = progress;
+    const container = document.getElementById("job-progress");
+
+    const pending = progress ? progress.queued + progress.retrying + progress.running : 0;
+    const failed = progress ? progress.failed : 0;
+    if (pending === 0 && failed === 0) {
+      container.classList.add("hidden");
+      return;
+    }
+
+    const finished = progress.done + progress.failed + progress.cancelled;
+    let text = pending > 0 ? `Analyzing ${finished}/${progress.total} scripts` : `${failed} script(s) failed to analyze`;
+    if (progress.retrying > 0) text += ` • ${progress.retrying} retrying`;
+    if (pending > 0 && failed > 0) text += ` • ${failed} failed`;
+
+    const textElement = document.getElementById("job-progress-text");
+    textElement.textContent = text;
+    // Failed URLs and their last error on hover
+    textElement.title = (progress.failures || []).map((failure) => `${failure.url}: ${failure.error}`).join("\n");
+    document.getElementById("retry-jobs-btn").classList.toggle("hidden", failed === 0);
+    document.getElementById("cancel-jobs-btn").classList.toggle("hidden", pending === 0);
+    container.classList.remove("hidden");
+  }
+
+  async cancelJobs() {
+    chrome.runtime.sendMessage({ type: "cancelJobs" }, (response) => {
+      if (chrome.runtime.lastError) return;
+      this.showNotification(`Cancelled ${response?.cancelled || 0} job(s)`);
+    });
+  }
+
+  async retryFailedJobs() {
+    chrome.runtime.sendMessage({ type: "retryFailedJobs" }, (response) => {
+      if (chrome.runtime.lastError) return;
+      this.showNotification(`Retrying ${response?.retried || 0} job(s)`);
+    });
   }
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get(["settings"]);
+      const result = await this.workspaces.get(["settings"]);
       this.settings = result.settings || {
         autoCapture: true,
-        excludePatterns: ["google-analytics", "gtag", "facebook.net"],
+        scope: {
+          inScope: [],
+          outOfScope: ["keyword:google-analytics", "keyword:gtag", "keyword:facebook.net"],
+        },
       };
     } catch (error) {
       console.error("Failed to load settings:", error);
-      this.settings = { autoCapture: true, excludePatterns: [] };
+      this.settings = { autoCapture: true, scope: { inScope: [], outOfScope: [] } };
     }
   }
 
   async loadData() {
     try {
       console.log('Popup: Loading data from storage...');
-      const result = await chrome.storage.local.get(["jsFiles"]);
+      const result = await this.workspaces.get(["jsFiles"]);
       console.log('Popup: Storage result:', result);
       this.jsFiles = result.jsFiles || [];
       console.log('Popup: Loaded JS files count:', this.jsFiles.length);
       console.log('Popup: First few files:', this.jsFiles.slice(0, 5));
       this.filterFiles();
       this.updateStats();
+      await this.loadSnapshots();
+      await this.loadSecrets();
+      await this.loadCloudAssets();
     } catch (error) {
       console.error("Failed to load data:", error);
       this.jsFiles = [];
@@ -307,6 +664,7 @@ class LazyEggPopup {
         // JSON format with metadata
         const data = {
           exportDate: new Date().toISOString(),
+          workspace: this.workspaces.getActive().name,
           totalFiles: this.jsFiles.length,
           files: this.jsFiles,
           domains: [
@@ -328,20 +686,7 @@ class LazyEggPopup {
 
       console.log('Export: Prepared data, format:', format, 'size:', content.length);
 
-      const blob = new Blob([content], { type: mimeType });
-      console.log('Export: Created blob, size:', blob.size);
-
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `lazy-egg-js-files-${
-        new Date().toISOString().split("T")[0]
-      }.${fileExtension}`;
-      document.body.appendChild(a);
-      console.log('Export: Triggering download...', a.download);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      this.downloadExport(content, "js-files", fileExtension, mimeType);
 
       this.showNotification(`Files exported to ${format.toUpperCase()} successfully!`);
     } catch (error) {
@@ -350,6 +695,394 @@ class LazyEggPopup {
     }
   }
 
+  // Saves content as "lazy-egg-<name>-<date>.<extension>"
+  downloadExport(content, name, extension, mimeType) {
+    const date = new Date().toISOString().split("T")[0];
+    new LazyEggExporter().downloadFile(content, `lazy-egg-${name}-${date}.${extension}`, mimeType);
+  }
+
+  // Re-fetch every analyzed source map and zip the original sources
+  async exportSourceTree() {
+    try {
+      const { sourceMaps = {} } = await this.workspaces.get(["sourceMaps"]);
+      const entries = Object.entries(sourceMaps);
+
+      if (entries.length === 0) {
+        this.showNotification("No source maps found yet", "error");
+        return;
+      }
+
+      const analyzer = new SourceMapAnalyzer();
+      const trees = [];
+
+      for (const [scriptUrl, info] of entries) {
+        try {
+          let mapUrl = info.mapUrl;
+          if (mapUrl === "inline") {
+            // Inline maps live in the script itself
+            const response = await fetch(scriptUrl, { credentials: "omit", cache: "force-cache" });
+            mapUrl = analyzer.findSourceMapUrl(await response.text(), scriptUrl, response.headers);
+          }
+          if (!mapUrl) continue;
+
+          const map = await analyzer.fetchSourceMap(mapUrl);
+          trees.push({ scriptUrl, files: analyzer.reconstructSources(map, mapUrl, { includeVendor: true }) });
+        } catch (error) {
+          console.warn("Skipping source map for", scriptUrl, error);
+        }
+      }
+
+      const totalFiles = trees.reduce((total, tree) => total + tree.files.length, 0);
+      if (totalFiles === 0) {
+        this.showNotification("Source maps are no longer available", "error");
+        return;
+      }
+
+      const archive = analyzer.buildArchive(trees, new ZipWriter());
+      this.downloadExport(archive, "sources", "zip", "application/zip");
+
+      this.showNotification(`Exported ${totalFiles} source file(s) from ${trees.length} map(s)!`);
+    } catch (error) {
+      console.error("Source export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
+  // Frequency-sorted wordlists, one word per line (ffuf -w / arjun -w)
+  async exportWordlists() {
+    try {
+      const { wordlists: counts = {} } = await this.workspaces.get(["wordlists"]);
+      const wordlists = new ParamHarvester().toWordlists(counts);
+      const total = Object.values(wordlists).reduce((sum, words) => sum + words.length, 0);
+
+      if (total === 0) {
+        this.showNotification("No wordlist entries harvested yet", "error");
+        return;
+      }
+
+      const zip = new ZipWriter();
+      const frequencies = ["list,word,count"];
+      Object.entries(wordlists).forEach(([list, words]) => {
+        zip.addFile(`${list}.txt`, words.map(({ word }) => word).join("\n") + "\n");
+        words.forEach(({ word, count }) => frequencies.push(`${list},"${word.replace(/"/g, '""')}",${count}`));
+      });
+      zip.addFile("frequencies.csv", frequencies.join("\n") + "\n");
+
+      this.downloadExport(zip.generate(), "wordlists", "zip", "application/zip");
+
+      this.showNotification(
+        `Exported ${wordlists.paths.length} paths, ${wordlists.params.length} params, ${wordlists.subdomains.length} subdomains!`
+      );
+    } catch (error) {
+      console.error("Wordlist export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
+  // Plain hostname list of the host inventory (subfinder/httpx style input)
+  async exportHostList() {
+    try {
+      const { hosts: inventory = {} } = await this.workspaces.get(["hosts"]);
+      const hostInventory = new HostInventory();
+      const scopeRules = new ScopeRules(this.getScope());
+
+      const allHosts = hostInventory.toHostList(inventory, scopeRules, false);
+      const hosts = hostInventory.toHostList(inventory, scopeRules, true);
+
+      if (hosts.length === 0) {
+        this.showNotification(allHosts.length ? "No in-scope hosts found" : "No hosts found yet", "error");
+        return;
+      }
+
+      this.downloadExport(hosts.join("\n") + "\n", "hosts", "txt", "text/plain");
+
+      this.showNotification(
+        `Exported ${hosts.length} in-scope host(s) from ${Object.keys(inventory).length} domain(s)` +
+          (allHosts.length > hosts.length ? `, ${allHosts.length - hosts.length} out of scope skipped` : "")
+      );
+    } catch (error) {
+      console.error("Host export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
+  async loadCloudAssets() {
+    const { cloudAssets = {} } = await this.workspaces.get(["cloudAssets"]);
+    this.cloudAssets = new CloudAssetExtractor().toList(cloudAssets);
+  }
+
+  // One canonical URL per bucket/function, ready for listing and upload checks
+  async exportCloudAssets() {
+    try {
+      await this.loadCloudAssets();
+      if (this.cloudAssets.length === 0) {
+        this.showNotification("No cloud assets found yet", "error");
+        return;
+      }
+
+      const lines = this.cloudAssets.map((asset) => asset.url);
+      this.downloadExport(lines.join("\n") + "\n", "cloud-assets", "txt", "text/plain");
+
+      const buckets = this.cloudAssets.filter((asset) => asset.kind === "bucket").length;
+      this.showNotification(`Exported ${buckets} bucket(s) and ${this.cloudAssets.length - buckets} serverless endpoint(s)`);
+    } catch (error) {
+      console.error("Cloud asset export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
+  // operations.graphql plus a JSON list of { operationName, query, variables, extensions } requests
+  async exportGraphQL() {
+    try {
+      const endpoints = await this.sendMessage({ type: "getEndpoints", inScopeOnly: true });
+      const collection = new GraphQLExtractor().buildCollection(endpoints || {});
+
+      if (collection.requests.length === 0) {
+        this.showNotification("No GraphQL operations found yet", "error");
+        return;
+      }
+
+      const zip = new ZipWriter();
+      zip.addFile("operations.graphql", collection.document);
+      zip.addFile("operations.json", JSON.stringify(collection.requests, null, 2));
+
+      this.downloadExport(zip.generate(), "graphql", "zip", "application/zip");
+
+      this.showNotification(`Exported ${collection.requests.length} GraphQL operation(s)!`);
+    } catch (error) {
+      console.error("GraphQL export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
+  async loadSecrets() {
+    await this.loadVaultStatus();
+
+    // Full values only when asked for, and only while a vault is unlocked
+    const unmasked = this.revealSecrets && this.canUnmask();
+    const secrets = await this.sendMessage({ type: "getSecrets", inScopeOnly: true, unmasked });
+    this.secretFindings = Object.values(secrets || {}).flatMap((data) =>
+      (data?.secrets?.secrets || []).map((secret) => ({ ...secret, sourceUrl: secret.sourceUrl || data.url }))
+    );
+
+    // Suppressed findings are already filtered out by the background
+    const response = await this.sendMessage({ type: "getSuppressions" });
+    this.suppressions = response?.success ? response.suppressions : [];
+
+    const packs = await this.sendMessage({ type: "getRulePackErrors" });
+    this.renderRulePackWarning(packs?.success ? packs.errors : []);
+  }
+
+  // Scans silently miss whatever the failed built-in packs would have found
+  renderRulePackWarning(errors) {
+    const warning = document.getElementById("rule-pack-warning");
+    warning.classList.toggle("hidden", errors.length === 0);
+    warning.textContent = errors.length > 0
+      ? `⚠️ Built-in secret rules failed to load, scans miss their findings: ${errors
+          .map(({ file, error }) => `${file} (${error})`)
+          .join(", ")}`
+      : "";
+  }
+
+  async loadVaultStatus() {
+    const response = await this.sendMessage({ type: "getVaultStatus" });
+    if (response?.success) {
+      this.vaultStatus = response;
+    }
+    this.renderVaultBar();
+  }
+
+  canUnmask() {
+    return !this.vaultStatus.enabled || this.vaultStatus.unlocked;
+  }
+
+  renderVaultBar() {
+    const { enabled, unlocked } = this.vaultStatus;
+    document.getElementById("vault-bar").classList.toggle("hidden", !enabled);
+    document.getElementById("vault-state").textContent = unlocked ? "🔓 Vault unlocked" : "🔒 Vault locked";
+    document.getElementById("vault-unlock-form").classList.toggle("hidden", unlocked);
+    document.getElementById("lock-vault-btn").classList.toggle("hidden", !unlocked);
+    document.getElementById("reveal-secrets").checked = this.revealSecrets && this.canUnmask();
+  }
+
+  // Vault messages answer with the new status
+  async updateVault(message, successMessage) {
+    const response = await this.sendMessage(message);
+    if (!response?.success) {
+      this.showNotification(response?.error || "Vault update failed!", "error");
+      return false;
+    }
+
+    this.vaultStatus = response;
+    await this.loadSecrets();
+    this.renderSecurityView();
+    this.renderVaultSettings();
+    if (successMessage) {
+      this.showNotification(successMessage);
+    }
+    return true;
+  }
+
+  async unlockVault() {
+    const input = document.getElementById("vault-unlock-passphrase");
+    const unlocked = await this.updateVault({ type: "unlockVault", passphrase: input.value }, "Vault unlocked");
+    if (unlocked) {
+      input.value = "";
+    }
+  }
+
+  async lockVault() {
+    this.revealSecrets = false;
+    await this.updateVault({ type: "lockVault" }, "Vault locked");
+  }
+
+  async enableVault() {
+    const passphrase = document.getElementById("vault-passphrase").value;
+    if (passphrase !== document.getElementById("vault-passphrase-confirm").value) {
+      this.showNotification("Passphrases don't match", "error");
+      return;
+    }
+
+    const enabled = await this.updateVault({ type: "createVault", passphrase }, "Vault enabled, stored secrets encrypted");
+    if (enabled) {
+      document.getElementById("vault-passphrase").value = "";
+      document.getElementById("vault-passphrase-confirm").value = "";
+    }
+  }
+
+  async disableVault() {
+    if (!confirm("Decrypt all stored secret values and remove the vault?")) return;
+    await this.updateVault({ type: "disableVault" }, "Vault disabled");
+  }
+
+  async setVaultAutoLock(autoLockMinutes) {
+    await this.updateVault({ type: "setVaultAutoLock", autoLockMinutes });
+  }
+
+  renderVaultSettings() {
+    const { enabled, autoLockMinutes } = this.vaultStatus;
+    document.getElementById("vault-setup").classList.toggle("hidden", enabled);
+    document.getElementById("vault-manage").classList.toggle("hidden", !enabled);
+    document.getElementById("vault-auto-lock").value = String(autoLockMinutes ?? 15);
+  }
+
+  async exportSecrets() {
+    const format = document.getElementById("secret-export-format").value;
+    const includeUnmasked = document.getElementById("export-unmasked").checked;
+
+    await this.loadVaultStatus();
+    if (includeUnmasked && !this.canUnmask()) {
+      this.showNotification("Unlock the vault to export unmasked values", "error");
+      return;
+    }
+
+    try {
+      const filename = await new LazyEggExporter().exportSecrets(format, { includeUnmasked });
+      this.showNotification(`Exported ${filename}`);
+    } catch (error) {
+      console.error("Secret export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
+  // choice is "<status>:<scope>", e.g. "false-positive:host"
+  async suppressFinding(fingerprint, choice, maskedValue = "") {
+    const [status, scope] = choice.split(":");
+    const response = await this.sendMessage({ type: "suppressSecret", fingerprint, status, scope, maskedValue });
+    if (!response?.success) {
+      this.showNotification(response?.error || "Suppress failed!", "error");
+      this.renderSecretFindings();
+      return;
+    }
+
+    await this.loadSecrets();
+    this.renderSecurityView();
+    this.showNotification(status === "accepted-risk" ? "Marked as accepted risk" : "Marked as false positive");
+  }
+
+  async unsuppressFinding(id) {
+    const response = await this.sendMessage({ type: "unsuppressSecret", id });
+    if (!response?.success) {
+      this.showNotification(response?.error || "Unsuppress failed!", "error");
+      return;
+    }
+
+    await this.loadSecrets();
+    this.renderSecurityView();
+    this.showNotification("Suppression removed");
+  }
+
+  // Newest snapshots first in the HAR export picker
+  async loadSnapshots() {
+    const { snapshots = {} } = await this.workspaces.get(["snapshots"]);
+    const select = document.getElementById("snapshot-select");
+    const entries = Object.entries(snapshots).sort(
+      ([, a], [, b]) => new Date(b.snapshot?.startTime || 0) - new Date(a.snapshot?.startTime || 0)
+    );
+
+    select.innerHTML = "";
+    if (entries.length === 0) {
+      select.appendChild(new Option("No snapshots yet", ""));
+      select.disabled = true;
+      return;
+    }
+
+    select.disabled = false;
+    entries.forEach(([id, data]) => {
+      const snapshot = data.snapshot || {};
+      const when = snapshot.startTime ? new Date(snapshot.startTime).toLocaleString() : "";
+      const imported = snapshot.metadata?.importedFrom === "har" ? " (HAR)" : "";
+      select.appendChild(new Option(`${snapshot.domain || id} - ${when}${imported}`, id));
+    });
+  }
+
+  async exportHAR() {
+    const snapshotId = document.getElementById("snapshot-select").value;
+    if (!snapshotId) {
+      this.showNotification("No snapshot selected", "error");
+      return;
+    }
+
+    const response = await this.sendMessage({ type: "exportSnapshot", snapshotId, format: "har" });
+    if (!response?.success) {
+      this.showNotification(response?.error || "Export failed!", "error");
+      return;
+    }
+
+    const filename = `lazy-egg-${snapshotId.replace(/[^\w.-]+/g, "_")}.har`;
+    new LazyEggExporter().downloadFile(response.data, filename, "application/json");
+
+    this.showNotification("Exported snapshot as HAR");
+  }
+
+  // The background parses the HAR and analyzes its JS bodies without refetching them
+  async importHAR(file) {
+    this.showNotification(`Importing ${file.name}...`);
+    const response = await this.sendMessage({ type: "importHar", har: await file.text() });
+    if (!response?.success) {
+      this.showNotification(response?.error || "HAR import failed!", "error");
+      return;
+    }
+
+    await this.loadData();
+    this.render();
+    this.showNotification(
+      `Imported snapshot, analyzed ${response.analyzed} script(s)` +
+        (response.skipped ? `, ${response.skipped} out of scope or too large skipped` : "")
+    );
+  }
+
+  async exportEndpoints() {
+    const format = document.getElementById("endpoint-export-format").value;
+    try {
+      const filename = await new LazyEggExporter().exportEndpoints(format);
+      this.showNotification(`Exported ${filename}`);
+    } catch (error) {
+      console.error("Endpoint export failed:", error);
+      this.showNotification("Export failed!", "error");
+    }
+  }
+
   async copyToClipboard() {
     try {
       const text = this.filteredFiles.join("\n");
@@ -365,10 +1098,10 @@ class LazyEggPopup {
 
   async clearData() {
     if (
-      confirm("Are you sure you want to clear all collected JavaScript files?")
+      confirm(`Are you sure you want to clear all collected JavaScript files in workspace "${this.workspaces.getActive().name}"?`)
     ) {
       try {
-        await chrome.storage.local.set({ jsFiles: [] });
+        await this.workspaces.set({ jsFiles: [] });
         this.jsFiles = [];
         this.filteredFiles = [];
         this.updateStats();
@@ -385,12 +1118,33 @@ class LazyEggPopup {
     }
   }
 
+  getScope() {
+    if (this.settings.scope) return this.settings.scope;
+
+    // Settings saved before scope rules existed
+    return {
+      inScope: [],
+      outOfScope: (this.settings.excludePatterns || []).map((pattern) => `keyword:${pattern}`),
+    };
+  }
+
   openSettings() {
     // Populate settings form
+    const scope = this.getScope();
     document.getElementById("auto-capture").checked = this.settings.autoCapture;
-    document.getElementById("exclude-patterns").value = (
-      this.settings.excludePatterns || []
-    ).join("\n");
+    document.getElementById("enable-source-maps").checked = this.settings.enableSourceMaps !== false;
+    document.getElementById("enable-chunk-enumeration").checked = this.settings.enableChunkEnumeration !== false;
+    document.getElementById("enable-param-harvesting").checked = this.settings.enableParamHarvesting !== false;
+    document.getElementById("enable-host-inventory").checked = this.settings.enableHostInventory !== false;
+    document.getElementById("enable-cloud-assets").checked = this.settings.enableCloudAssetDiscovery !== false;
+    document.getElementById("extraction-mode").value = this.settings.endpointExtractionMode || "ast";
+    document.getElementById("min-secret-confidence").value = String(this.settings.minSecretConfidence ?? 0.5);
+    document.getElementById("enable-pii-detection").checked = this.settings.enablePiiDetection === true;
+    document.getElementById("in-scope-rules").value = scope.inScope.join("\n");
+    document.getElementById("out-of-scope-rules").value = scope.outOfScope.join("\n");
+    document.getElementById("scope-import").value = "";
+    this.renderVaultSettings();
+    this.loadVulnerabilityDbStatus();
 
     document.getElementById("settings-modal").classList.remove("hidden");
   }
@@ -399,18 +1153,79 @@ class LazyEggPopup {
     document.getElementById("settings-modal").classList.add("hidden");
   }
 
+  readRules(elementId) {
+    return document
+      .getElementById(elementId)
+      .value.split("\n")
+      .map((rule) => rule.trim())
+      .filter((rule) => rule.length > 0);
+  }
+
+  importScope(content) {
+    try {
+      const imported = new ScopeRules().parseImport(content);
+      const total = imported.inScope.length + imported.outOfScope.length;
+
+      if (total === 0) {
+        this.showNotification("No scope targets found", "error");
+        return;
+      }
+
+      // Merge into the form, the user still has to save
+      const merge = (elementId, rules) => {
+        const merged = [...new Set([...this.readRules(elementId), ...rules])];
+        document.getElementById(elementId).value = merged.join("\n");
+      };
+      merge("in-scope-rules", imported.inScope);
+      merge("out-of-scope-rules", imported.outOfScope);
+      document.getElementById("scope-import").value = "";
+
+      this.showNotification(`Imported ${total} scope rule(s) - review and save`);
+    } catch (error) {
+      console.error("Scope import failed:", error);
+      this.showNotification("Scope import failed!", "error");
+    }
+  }
+
   async saveSettings() {
     try {
       const autoCapture = document.getElementById("auto-capture").checked;
-      const excludePatterns = document
-        .getElementById("exclude-patterns")
-        .value.split("\n")
-        .map((pattern) => pattern.trim())
-        .filter((pattern) => pattern.length > 0);
+      const enableSourceMaps = document.getElementById("enable-source-maps").checked;
+      const enableChunkEnumeration = document.getElementById("enable-chunk-enumeration").checked;
+      const enableParamHarvesting = document.getElementById("enable-param-harvesting").checked;
+      const enableHostInventory = document.getElementById("enable-host-inventory").checked;
+      const enableCloudAssetDiscovery = document.getElementById("enable-cloud-assets").checked;
+      const endpointExtractionMode = document.getElementById("extraction-mode").value;
+      const minSecretConfidence = parseFloat(document.getElementById("min-secret-confidence").value);
+      const enablePiiDetection = document.getElementById("enable-pii-detection").checked;
+      const scope = {
+        inScope: this.readRules("in-scope-rules"),
+        outOfScope: this.readRules("out-of-scope-rules"),
+      };
 
-      this.settings = { autoCapture, excludePatterns };
+      const invalidRules = new ScopeRules(scope).getInvalidRules();
+      if (invalidRules.length > 0) {
+        this.showNotification(`Invalid scope rule: ${invalidRules[0].source}`, "error");
+        return;
+      }
+
+      // Keep settings this form doesn't edit
+      const { excludePatterns, ...settings } = this.settings;
+      this.settings = {
+        ...settings,
+        autoCapture,
+        enableSourceMaps,
+        enableChunkEnumeration,
+        enableParamHarvesting,
+        enableHostInventory,
+        enableCloudAssetDiscovery,
+        endpointExtractionMode,
+        minSecretConfidence,
+        enablePiiDetection,
+        scope,
+      };
 
-      await chrome.storage.local.set({ settings: this.settings });
+      await this.workspaces.set({ settings: this.settings });
       this.closeSettings();
       this.showNotification("Settings saved!");
     } catch (error) {
@@ -490,6 +1305,13 @@ class LazyEggPopup {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       const currentDomain = tab ? new URL(tab.url).hostname : 'unknown';
 
+      try {
+        await this.securityAnalyzer.vulnerabilityDb.load();
+      } catch (error) {
+        // Still analyze, just without library vulnerabilities
+        console.error("Failed to load vulnerability database:", error);
+      }
+
       this.securityReport = this.securityAnalyzer.generateSecurityReport(this.jsFiles, currentDomain);
       this.renderSecurityView();
       this.showNotification("Security analysis completed!");
@@ -507,7 +1329,12 @@ class LazyEggPopup {
     const filesContainer = document.getElementById("files-container");
     const emptyState = document.getElementById("empty-state");
 
-    if (!this.securityReport) {
+    if (
+      !this.securityReport &&
+      this.secretFindings.length === 0 &&
+      this.suppressions.length === 0 &&
+      this.cloudAssets.length === 0
+    ) {
       securityContainer.classList.add("hidden");
       filesContainer.classList.add("hidden");
       emptyState.classList.remove("hidden");
@@ -519,8 +1346,160 @@ class LazyEggPopup {
     securityContainer.classList.remove("hidden");
 
     // Update security summary
-    this.updateSecuritySummary();
-    this.renderSecurityAlerts();
+    if (this.securityReport) {
+      this.updateSecuritySummary();
+      this.renderSecurityAlerts();
+    } else {
+      document.getElementById("security-alerts").innerHTML = "";
+    }
+    this.renderSecretFindings();
+    this.renderCloudAssets();
+  }
+
+  // Findings below the confidence threshold stay hidden unless the checkbox is on,
+  // pattern-only matches of checksummed formats when the other one is
+  renderSecretFindings() {
+    const container = document.getElementById("secret-findings");
+    const threshold = this.settings.minSecretConfidence ?? 0.5;
+    const showLowConfidence = !!this.settings.showLowConfidenceSecrets;
+    const hidePatternOnly = !!this.settings.hidePatternOnlySecrets;
+    const confident = this.secretFindings.filter(
+      (secret) => showLowConfidence || (secret.confidence ?? 1) >= threshold
+    );
+    const visible = confident.filter((secret) => !hidePatternOnly || secret.validation !== "pattern");
+    const hidden = this.secretFindings.length - confident.length;
+    const patternOnly = confident.length - visible.length;
+    const leaks = visible.filter((secret) => secret.category === "leaks").length;
+
+    document.getElementById("show-low-confidence").checked = showLowConfidence;
+    document.getElementById("hide-pattern-only").checked = hidePatternOnly;
+    container.innerHTML = "";
+    if (this.secretFindings.length === 0 && this.suppressions.length === 0) return;
+
+    const header = document.createElement("div");
+    header.className = "alert-title";
+    header.textContent =
+      `🔑 ${visible.length - leaks} secret(s)` +
+      (leaks ? `, ${leaks} PII/infrastructure leak(s)` : "") +
+      (hidden ? `, ${hidden} low-confidence hidden` : "") +
+      (patternOnly ? `, ${patternOnly} pattern-only hidden` : "") +
+      (this.suppressions.length ? `, ${this.suppressions.length} suppression(s)` : "");
+    container.appendChild(header);
+
+    visible.forEach((secret) => {
+      const alert = document.createElement("div");
+      alert.className = `security-alert ${secret.severity}`;
+      const confidence = secret.confidence === undefined ? "" : ` · ${Math.round(secret.confidence * 100)}% confidence`;
+      const validation = secret.validation
+        ? ` · ${secret.validation === "valid" ? "✓ structurally valid" : "pattern only"}`
+        : "";
+
+      alert.innerHTML = `
+        <div class="alert-title">${this.escapeHtml(secret.type)}${confidence}${validation}</div>
+        <div class="alert-description">${this.escapeHtml(secret.fullValue || secret.value)} (line ${secret.line})</div>
+        <div class="alert-url">${this.escapeHtml(secret.sourceUrl || "")}</div>
+        ${secret.jwt ? this.renderJwtDetails(secret.jwt) : ""}
+        ${secret.fingerprint ? `
+        <select class="settings-select suppress-select">
+          <option value="">Suppress…</option>
+          <option value="false-positive:file">False positive - this file</option>
+          <option value="false-positive:host">False positive - this host</option>
+          <option value="false-positive:global">False positive - everywhere</option>
+          <option value="accepted-risk:file">Accepted risk - this file</option>
+          <option value="accepted-risk:host">Accepted risk - this host</option>
+          <option value="accepted-risk:global">Accepted risk - everywhere</option>
+        </select>` : ""}
+      `;
+      // Set as properties, fingerprints and masked values may contain quotes
+      const select = alert.querySelector(".suppress-select");
+      if (select) {
+        select.dataset.fingerprint = secret.fingerprint;
+        select.dataset.masked = secret.value;
+      }
+      container.appendChild(alert);
+    });
+
+    if (this.suppressions.length > 0) {
+      container.appendChild(this.renderSuppressions());
+    }
+  }
+
+  // Decoded (unverified) header and claims with the JWT checks that fired
+  renderJwtDetails(jwt) {
+    const facts = [
+      `alg ${jwt.algorithm || "none"}`,
+      jwt.issuer && `iss ${jwt.issuer}`,
+      jwt.audience.length > 0 && `aud ${jwt.audience.join(", ")}`,
+      `exp ${jwt.expiresAt || "never"}`,
+    ].filter(Boolean);
+    const issues = jwt.issues
+      .map(
+        (issue) =>
+          `<li class="jwt-issue ${issue.severity}">${this.escapeHtml(issue.title)} - ${this.escapeHtml(issue.description)}` +
+          `${issue.secret ? ` (key: ${this.escapeHtml(issue.secret)})` : ""}</li>`
+      )
+      .join("");
+
+    return `
+      <details class="jwt-details">
+        <summary class="alert-description">🎫 ${this.escapeHtml(facts.join(" · "))}</summary>
+        ${issues ? `<ul class="jwt-issues">${issues}</ul>` : ""}
+        <pre class="jwt-json">${this.escapeHtml(JSON.stringify(jwt.header, null, 2))}</pre>
+        ${jwt.redacted
+          ? '<div class="alert-description">Claims hidden, reveal full values to see them</div>'
+          : `<pre class="jwt-json">${this.escapeHtml(JSON.stringify(jwt.claims, null, 2))}</pre>`}
+      </details>
+    `;
+  }
+
+  renderCloudAssets() {
+    const container = document.getElementById("cloud-assets");
+    container.innerHTML = "";
+    if (this.cloudAssets.length === 0) return;
+
+    const extractor = new CloudAssetExtractor();
+    const header = document.createElement("div");
+    header.className = "alert-title";
+    header.textContent = `☁️ ${this.cloudAssets.length} cloud asset(s)`;
+    container.appendChild(header);
+
+    this.cloudAssets.forEach((asset) => {
+      const item = document.createElement("div");
+      item.className = "cloud-asset";
+      item.innerHTML = `
+        <div class="alert-description">
+          ${this.escapeHtml(extractor.getProviderLabel(asset.provider))} · <strong>${this.escapeHtml(asset.name)}</strong>
+          ${asset.region ? ` · ${this.escapeHtml(asset.region)}` : ""} · ${asset.sources.length} script(s)
+        </div>
+        <div class="alert-url">${this.escapeHtml(asset.url)}</div>
+      `;
+      item.title = asset.sources.join("\n");
+      container.appendChild(item);
+    });
+  }
+
+  renderSuppressions() {
+    const scopes = { file: "this file", host: "this host", global: "everywhere" };
+    const details = document.createElement("details");
+    details.className = "suppressions";
+    details.innerHTML = `<summary class="alert-description">Suppressed (${this.suppressions.length})</summary>`;
+
+    this.suppressions.forEach((suppression) => {
+      const target = suppression.scope === "file" ? suppression.source : suppression.host || "";
+      const item = document.createElement("div");
+      item.className = "suppression-item";
+      item.innerHTML = `
+        <span class="alert-description">
+          ${suppression.status === "accepted-risk" ? "Accepted risk" : "False positive"} · ${this.escapeHtml(suppression.rule)}
+          ${this.escapeHtml(suppression.maskedValue || "")} · ${scopes[suppression.scope]}
+          <span class="alert-url">${this.escapeHtml(target)}</span>
+        </span>
+        <button class="btn-text">Remove</button>
+      `;
+      item.querySelector("button").dataset.suppression = suppression.id;
+      details.appendChild(item);
+    });
+    return details;
   }
 
   updateSecuritySummary() {
@@ -536,7 +1515,7 @@ class LazyEggPopup {
     document.getElementById("overall-risk").className = `risk-badge risk-${overallRisk}`;
     document.getElementById("external-count").textContent = report.externalFiles;
     document.getElementById("cdn-count").textContent = report.cdnFiles;
-    document.getElementById("outdated-count").textContent = report.outdatedLibraries;
+    document.getElementById("vulnerable-count").textContent = report.vulnerableLibraries;
   }
 
   renderSecurityAlerts() {
@@ -544,9 +1523,13 @@ class LazyEggPopup {
     alertsContainer.innerHTML = "";
 
     const highRiskFiles = this.securityReport.highRiskFiles;
+    this.renderVulnerableLibraries(alertsContainer);
     
     if (highRiskFiles.length === 0) {
-      alertsContainer.innerHTML = '<div class="security-alert"><div class="alert-title">✅ No high-risk files detected</div></div>';
+      alertsContainer.insertAdjacentHTML(
+        "beforeend",
+        '<div class="security-alert"><div class="alert-title">✅ No high-risk files detected</div></div>'
+      );
       return;
     }
 
@@ -571,6 +1554,65 @@ class LazyEggPopup {
     });
   }
 
+  // One entry per detected library version with known vulnerabilities, most severe first
+  renderVulnerableLibraries(container) {
+    const vulnerable = this.securityReport.detectedLibraries.filter((library) => library.vulnerabilities.length > 0);
+
+    vulnerable.forEach((library) => {
+      const alert = document.createElement("div");
+      alert.className = `security-alert ${library.vulnerabilities[0].severity}`;
+      const items = library.vulnerabilities
+        .map((vulnerability) => {
+          const ids = [...vulnerability.identifiers.CVE, ...vulnerability.identifiers.GHSA].join(", ");
+          return `<li class="vuln-item ${vulnerability.severity}">${this.escapeHtml(ids || "No identifier")} (${vulnerability.severity}) - ${this.escapeHtml(vulnerability.summary)}</li>`;
+        })
+        .join("");
+
+      alert.innerHTML = `
+        <div class="alert-title">📦 ${this.escapeHtml(library.name)} ${this.escapeHtml(library.version)} - ${library.vulnerabilities.length} known vulnerabilit${library.vulnerabilities.length === 1 ? "y" : "ies"}</div>
+        <ul class="vuln-list">${items}</ul>
+        <div class="alert-url">${this.escapeHtml(library.url)}</div>
+      `;
+      container.appendChild(alert);
+    });
+  }
+
+  async loadVulnerabilityDbStatus() {
+    try {
+      this.renderVulnerabilityDbStatus(await this.securityAnalyzer.vulnerabilityDb.load());
+    } catch (error) {
+      console.error("Failed to load vulnerability database:", error);
+      document.getElementById("vuln-db-status").textContent = "Not loaded";
+    }
+  }
+
+  renderVulnerabilityDbStatus(status) {
+    document.getElementById("vuln-db-status").textContent =
+      `${status.source}, updated ${status.updated} - ${status.libraries} libraries, ${status.vulnerabilities} vulnerabilities`;
+    document.getElementById("reset-vuln-db-btn").classList.toggle("hidden", !status.imported);
+  }
+
+  async importVulnerabilityDb(file) {
+    try {
+      const status = await this.securityAnalyzer.vulnerabilityDb.importDatabase(await file.text());
+      this.renderVulnerabilityDbStatus(status);
+      this.showNotification(`Imported ${status.libraries} libraries - re-run analysis`);
+    } catch (error) {
+      console.error("Vulnerability database import failed:", error);
+      this.showNotification(`Import failed: ${error.message}`, "error");
+    }
+  }
+
+  async resetVulnerabilityDb() {
+    try {
+      this.renderVulnerabilityDbStatus(await this.securityAnalyzer.vulnerabilityDb.reset());
+      this.showNotification("Using the bundled vulnerability database");
+    } catch (error) {
+      console.error("Vulnerability database reset failed:", error);
+      this.showNotification("Reset failed!", "error");
+    }
+  }
+
   async exportSecurityReport() {
     if (!this.securityReport) {
       this.showNotification("Run analysis first", "error");
@@ -579,15 +1621,7 @@ class LazyEggPopup {
 
     try {
       const content = JSON.stringify(this.securityReport, null, 2);
-      const blob = new Blob([content], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `lazy-egg-security-report-${new Date().toISOString().split("T")[0]}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      this.downloadExport(content, "security-report", "json", "application/json");
 
       this.showNotification("Security report exported!");
     } catch (error) {
@@ -93,38 +93,10 @@ class SecurityAnalyzer {
       }
     ];
 
-    this.knownLibraries = {
-      'jquery': {
-        patterns: [/jquery[.-]([0-9]+\.[0-9]+\.[0-9]+)/i],
-        latestVersion: '3.7.1',
-        homepage: 'https://jquery.com'
-      },
-      'react': {
-        patterns: [/react[.-]([0-9]+\.[0-9]+\.[0-9]+)/i],
-        latestVersion: '18.2.0',
-        homepage: 'https://react.dev'
-      },
-      'vue': {
-        patterns: [/vue[.-]([0-9]+\.[0-9]+\.[0-9]+)/i],
-        latestVersion: '3.3.4',
-        homepage: 'https://vuejs.org'
-      },
-      'angular': {
-        patterns: [/angular[.-]([0-9]+\.[0-9]+\.[0-9]+)/i],
-        latestVersion: '16.2.0',
-        homepage: 'https://angular.io'
-      },
-      'bootstrap': {
-        patterns: [/bootstrap[.-]([0-9]+\.[0-9]+\.[0-9]+)/i],
-        latestVersion: '5.3.1',
-        homepage: 'https://getbootstrap.com'
-      },
-      'lodash': {
-        patterns: [/lodash[.-]([0-9]+\.[0-9]+\.[0-9]+)/i],
-        latestVersion: '4.17.21',
-        homepage: 'https://lodash.com'
-      }
-    };
+    // Detected libraries are matched against an offline dataset of known vulnerable versions
+    this.vulnerabilityDb = new VulnerabilityDatabase();
+    // Added to the file's score for its most severe known vulnerability
+    this.vulnerabilityScores = { critical: 55, high: 40, medium: 25, low: 10 };
   }
 
   analyzeURL(url, currentDomain) {
@@ -136,8 +108,9 @@ class SecurityAnalyzer {
       suspiciousScore: 0,
       suspiciousReasons: [],
       library: null,
+      libraryName: null,
       version: null,
-      isOutdated: false,
+      vulnerabilities: [],
       riskLevel: 'low', // low, medium, high, critical
       trustedPlatform: null,
       platformContext: null
@@ -246,44 +219,26 @@ class SecurityAnalyzer {
   }
 
   detectLibrary(url, analysis) {
-    for (const [libName, libInfo] of Object.entries(this.knownLibraries)) {
-      for (const pattern of libInfo.patterns) {
-        const match = url.match(pattern);
-        if (match) {
-          analysis.library = libName;
-          analysis.version = match[1];
-          
-          // Check if outdated
-          if (this.isVersionOutdated(match[1], libInfo.latestVersion)) {
-            analysis.isOutdated = true;
-            analysis.suspiciousScore += 5;
-            analysis.suspiciousReasons.push(`Outdated ${libName} version (${match[1]} vs ${libInfo.latestVersion})`);
-          }
-          break;
-        }
-      }
-      if (analysis.library) break;
-    }
-  }
+    const detected = this.vulnerabilityDb.detect(url);
+    if (!detected) return;
 
-  isVersionOutdated(currentVersion, latestVersion) {
-    try {
-      const current = currentVersion.split('.').map(num => parseInt(num, 10));
-      const latest = latestVersion.split('.').map(num => parseInt(num, 10));
+    analysis.library = detected.library;
+    analysis.libraryName = detected.name;
+    analysis.version = detected.version;
+    analysis.vulnerabilities = this.vulnerabilityDb.getVulnerabilities(detected.library, detected.version);
 
-      for (let i = 0; i < Math.max(current.length, latest.length); i++) {
-        const curr = current[i] || 0;
-        const lat = latest[i] || 0;
-        
-        if (curr < lat) return true;
-        if (curr > lat) return false;
-      }
-      return false;
-    } catch {
-      return false;
+    if (analysis.vulnerabilities.length > 0) {
+      // Sorted most severe first
+      analysis.suspiciousScore += this.vulnerabilityScores[analysis.vulnerabilities[0].severity];
+      const ids = analysis.vulnerabilities.map(vulnerability => this.getVulnerabilityId(vulnerability));
+      analysis.suspiciousReasons.push(`Vulnerable ${detected.name} ${detected.version} (${[...new Set(ids)].join(', ')})`);
     }
   }
 
+  getVulnerabilityId(vulnerability) {
+    return vulnerability.identifiers.CVE[0] || vulnerability.identifiers.GHSA[0] || vulnerability.summary;
+  }
+
   calculateRiskLevelContextual(analysis) {
     let score = analysis.suspiciousScore;
     
@@ -344,7 +299,7 @@ class SecurityAnalyzer {
       externalFiles: analyses.filter(a => a.isExternal).length,
       cdnFiles: analyses.filter(a => a.isCDN).length,
       suspiciousFiles: analyses.filter(a => a.suspiciousScore > 0).length,
-      outdatedLibraries: analyses.filter(a => a.isOutdated).length,
+      vulnerableLibraries: analyses.filter(a => a.vulnerabilities.length > 0).length,
       riskDistribution: {
         low: analyses.filter(a => a.riskLevel === 'low').length,
         medium: analyses.filter(a => a.riskLevel === 'medium').length,
@@ -354,10 +309,12 @@ class SecurityAnalyzer {
       cdnProviders: [...new Set(analyses.filter(a => a.cdnProvider).map(a => a.cdnProvider))],
       detectedLibraries: analyses.filter(a => a.library).map(a => ({
         library: a.library,
+        name: a.libraryName,
         version: a.version,
-        isOutdated: a.isOutdated,
+        vulnerabilities: a.vulnerabilities,
         url: a.url
       })),
+      vulnerabilityDatabase: this.vulnerabilityDb.getStatus(),
       highRiskFiles: analyses.filter(a => ['high', 'critical'].includes(a.riskLevel)),
       analyses: analyses
     };